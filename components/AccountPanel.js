@@ -0,0 +1,115 @@
+import { useEffect, useState } from "react";
+import { sendEmailSignInLink, signOutUser, updateDisplayName } from "../utils/authUtils";
+
+const AccountPanel = ({ user }) => {
+    const [email, setEmail] = useState("");
+    const [displayName, setDisplayName] = useState("");
+    const [linkSentTo, setLinkSentTo] = useState(null);
+    const [isBusy, setIsBusy] = useState(false);
+
+    useEffect(() => {
+        setDisplayName(user?.displayName || "");
+    }, [user]);
+
+    const handleSendLink = async (e) => {
+        e.preventDefault();
+        setIsBusy(true);
+
+        try {
+            await sendEmailSignInLink(email.trim());
+            setLinkSentTo(email.trim());
+            setEmail("");
+        } catch (error) {
+            console.error("Error sending sign-in link:", error);
+            alert("Unable to send a sign-in link to that address.");
+        } finally {
+            setIsBusy(false);
+        }
+    };
+
+    const handleSaveName = async (e) => {
+        e.preventDefault();
+        setIsBusy(true);
+
+        try {
+            await updateDisplayName(displayName.trim());
+        } catch (error) {
+            console.error("Error updating display name:", error);
+            alert("Unable to save your name.");
+        } finally {
+            setIsBusy(false);
+        }
+    };
+
+    const handleSignOut = async () => {
+        try {
+            await signOutUser();
+        } catch (error) {
+            console.error("Error signing out:", error);
+        }
+    };
+
+    if (!user) {
+        return <p className="text-sm text-gray-200">Signing in...</p>;
+    }
+
+    return (
+        <div className="flex flex-col space-y-3">
+            <h2 className="text-2xl font-semibold">👤 Your Account</h2>
+
+            {user.isAnonymous ? (
+                <>
+                    <p className="text-sm">
+                        You are browsing as a guest. Sign in with your email to keep the houses and photos you add.
+                    </p>
+                    {linkSentTo ? (
+                        <p className="text-sm">📧 Check {linkSentTo} for your sign-in link.</p>
+                    ) : (
+                        <form onSubmit={handleSendLink} className="flex space-x-2">
+                            <input
+                                type="email"
+                                placeholder="you@example.com"
+                                value={email}
+                                onChange={(e) => setEmail(e.target.value)}
+                                className="flex-1 min-w-0 p-2 rounded bg-snowWhite text-christmasGreen placeholder-christmasGreen focus:outline-none focus:ring-2 focus:ring-gold"
+                                required
+                            />
+                            <button
+                                type="submit"
+                                disabled={isBusy}
+                                className="p-2 bg-gold text-christmasGreen font-semibold rounded hover:bg-snowWhite transition disabled:opacity-50"
+                            >
+                                Send link
+                            </button>
+                        </form>
+                    )}
+                </>
+            ) : (
+                <>
+                    <p className="text-sm truncate">Signed in as {user.email}</p>
+                    <form onSubmit={handleSaveName} className="flex space-x-2">
+                        <input
+                            type="text"
+                            placeholder="Name shown on your houses"
+                            value={displayName}
+                            onChange={(e) => setDisplayName(e.target.value)}
+                            className="flex-1 min-w-0 p-2 rounded bg-snowWhite text-christmasGreen placeholder-christmasGreen focus:outline-none focus:ring-2 focus:ring-gold"
+                        />
+                        <button
+                            type="submit"
+                            disabled={isBusy}
+                            className="p-2 bg-gold text-christmasGreen font-semibold rounded hover:bg-snowWhite transition disabled:opacity-50"
+                        >
+                            Save
+                        </button>
+                    </form>
+                    <button onClick={handleSignOut} className="text-sm underline self-start">
+                        Sign out
+                    </button>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default AccountPanel;
@@ -0,0 +1,86 @@
+import { useEffect, useState } from "react";
+import Link from "next/link";
+import AccountPanel from "./AccountPanel";
+import { completeEmailSignIn, ensureSignedIn, isAdminUser, subscribeToAuth } from "../utils/authUtils";
+
+// Sections of the admin area, shown as navigation links
+const ADMIN_SECTIONS = [
+    { href: "/admin/houses", label: "🏠 Houses" },
+    { href: "/admin/photos", label: "📷 Photos" },
+    { href: "/admin/reports", label: "🚩 Reports" },
+    { href: "/admin/data", label: "📦 Import & Export" },
+];
+
+const AdminLayout = ({ title, children }) => {
+    // Wrapped so an update to the same user object, such as linking a guest account, still re-renders
+    const [{ user }, setAuthState] = useState({ user: null });
+    const [access, setAccess] = useState("checking"); // "checking", "granted" or "denied"
+
+    /**
+     * Checks the signed-in user's admin claim, finishing an email link sign-in first if there is one.
+     */
+    useEffect(() => {
+        let unsubscribe = () => {};
+
+        const checkAccess = async () => {
+            try {
+                await completeEmailSignIn();
+            } catch (error) {
+                console.error("Error completing email sign-in:", error);
+            }
+
+            // Start as a guest so the sign-in form can be shown
+            try {
+                await ensureSignedIn();
+            } catch (error) {
+                console.error("Error signing in:", error);
+            }
+
+            unsubscribe = subscribeToAuth(async (currentUser) => {
+                setAuthState({ user: currentUser });
+                try {
+                    setAccess((await isAdminUser(currentUser)) ? "granted" : "denied");
+                } catch (error) {
+                    console.error("Error checking admin access:", error);
+                    setAccess("denied");
+                }
+            });
+        };
+
+        checkAccess();
+        return () => unsubscribe();
+    }, []);
+
+    return (
+        <div className="min-h-screen bg-christmasGreen text-snowWhite">
+            <header className="flex flex-col md:flex-row md:items-center md:justify-between p-6 space-y-4 md:space-y-0">
+                <h1 className="text-3xl font-bold text-gold">🎅 Truckee Lights Admin</h1>
+                <nav className="flex space-x-4 text-lg">
+                    {ADMIN_SECTIONS.map((section) => (
+                        <Link key={section.href} href={section.href} className="hover:text-gold">
+                            {section.label}
+                        </Link>
+                    ))}
+                    <Link href="/" className="hover:text-gold">
+                        🗺️ Map
+                    </Link>
+                </nav>
+            </header>
+
+            <main className="p-6 pt-0">
+                <h2 className="text-2xl font-semibold mb-4">{title}</h2>
+                {access === "checking" && <p>Checking access...</p>}
+                {access === "denied" && (
+                    <div className="max-w-md space-y-4">
+                        <p>🔒 This page is for Truckee Lights admins. Sign in with an admin account to continue.</p>
+                        <AccountPanel user={user} />
+                    </div>
+                )}
+                {/* Pages load their data inside children, so nothing is fetched before access is granted */}
+                {access === "granted" && children}
+            </main>
+        </div>
+    );
+};
+
+export default AdminLayout;
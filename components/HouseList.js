@@ -0,0 +1,101 @@
+import React, { useMemo, useState } from "react";
+import { formatMiles, haversineDistance } from "../utils/tourUtils";
+import { isInBounds } from "../utils/geoUtils";
+import { toMillis } from "../utils/dateUtils";
+
+// Ways the list can be ordered
+const SORT_OPTIONS = [
+    { id: "newest", label: "Newest" },
+    { id: "nearest", label: "Nearest" },
+    { id: "photos", label: "Most photos" },
+];
+
+const HouseList = ({ houses, origin, viewportBounds, selectedHouseId, onSelectHouse, onHighlightHouse }) => {
+    const [sortBy, setSortBy] = useState("newest");
+    const [viewportOnly, setViewportOnly] = useState(false);
+
+    // Houses to list, each with its distance from the origin
+    const listedHouses = useMemo(() => {
+        const withDistance = houses
+            .filter((house) => house.location && (!viewportOnly || !viewportBounds || isInBounds(house.location, viewportBounds)))
+            .map((house) => ({
+                house,
+                distanceMeters: origin ? haversineDistance(origin, house.location) : null,
+            }));
+
+        const comparators = {
+            newest: (a, b) => toMillis(b.house.createdAt) - toMillis(a.house.createdAt),
+            nearest: (a, b) => (a.distanceMeters ?? 0) - (b.distanceMeters ?? 0),
+            photos: (a, b) => (b.house.photoCount || 0) - (a.house.photoCount || 0),
+        };
+
+        return withDistance.sort(comparators[sortBy]);
+    }, [houses, origin, viewportBounds, viewportOnly, sortBy]);
+
+    return (
+        <div className="flex flex-col space-y-3">
+            <h2 className="text-2xl font-semibold">🎄 Houses</h2>
+
+            <div className="flex items-center justify-between text-sm space-x-2">
+                <select
+                    value={sortBy}
+                    onChange={(e) => setSortBy(e.target.value)}
+                    className="p-1 rounded bg-snowWhite text-christmasGreen focus:outline-none focus:ring-2 focus:ring-gold"
+                    aria-label="Sort houses"
+                >
+                    {SORT_OPTIONS.map((option) => (
+                        <option key={option.id} value={option.id}>{option.label}</option>
+                    ))}
+                </select>
+                <label className="flex items-center space-x-1 cursor-pointer">
+                    <input
+                        type="checkbox"
+                        checked={viewportOnly}
+                        onChange={() => setViewportOnly((prev) => !prev)}
+                        className="accent-gold"
+                    />
+                    <span>In map view only</span>
+                </label>
+            </div>
+
+            {listedHouses.length === 0 ? (
+                <p className="text-sm text-gray-200">No houses to show here yet.</p>
+            ) : (
+                <ul className="max-h-72 overflow-y-auto space-y-2" onMouseLeave={() => onHighlightHouse(null)}>
+                    {listedHouses.map(({ house, distanceMeters }) => (
+                        <li key={house.id}>
+                            <button
+                                onClick={() => onSelectHouse(house)}
+                                onMouseEnter={() => onHighlightHouse(house.id)}
+                                onFocus={() => onHighlightHouse(house.id)}
+                                className={`flex items-center w-full p-2 space-x-3 rounded text-left transition hover:bg-snowWhite hover:text-christmasGreen ${
+                                    house.id === selectedHouseId ? "bg-snowWhite text-christmasGreen" : ""
+                                }`}
+                            >
+                                {house.coverThumbnailURL ? (
+                                    <img
+                                        src={house.coverThumbnailURL}
+                                        alt=""
+                                        loading="lazy"
+                                        className="w-12 h-12 flex-shrink-0 object-cover rounded"
+                                    />
+                                ) : (
+                                    <span className="w-12 h-12 flex-shrink-0 flex items-center justify-center rounded bg-gold text-2xl">🎄</span>
+                                )}
+                                <span className="min-w-0">
+                                    <span className="block truncate">{house.address}</span>
+                                    <span className="block text-xs opacity-80">
+                                        📷 {house.photoCount || 0}
+                                        {distanceMeters !== null && ` · ${formatMiles(distanceMeters)}`}
+                                    </span>
+                                </span>
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default HouseList;
@@ -1,408 +1,486 @@
 import React, { useEffect, useRef, useState } from "react";
-import { Loader } from "@googlemaps/js-api-loader";
 import {
-  createEmojiMarker,
   fetchHousePhotos,
   generateInfoWindowContent,
-  initializeInfoWindow,
   createStyledInfoWindow,
-  openInfoWindow,
+  createTourPolyline,
+  getMapProvider,
+  readTagPicker,
+  readScheduleEditor,
+  generateAdjustPositionContent,
 } from "../utils/mapUtils";
-import { db, storage } from "../firebase";
-import { ref, uploadBytesResumable, getDownloadURL } from "firebase/storage";
-import { collection, addDoc, serverTimestamp } from "firebase/firestore";
-import { doc, updateDoc, arrayUnion } from "firebase/firestore";
-import dynamic from 'next/dynamic';
-import { resizeImage } from "../utils/imageUtils";
-
-const Map = ({ houses, addMarker, selectedHouse, onSelectHouse }) => {
+import { startPositionAdjustment, syncHouseMarkers } from "../utils/markerUtils";
+import { getBoundsCircle } from "../utils/geoUtils";
+import { fetchVisitorRating, submitRating } from "../utils/ratingUtils";
+import { getCurrentUserId } from "../utils/authUtils";
+import { setLinkedHouseId, shareHouse } from "../utils/shareUtils";
+import { updateHouseTags } from "../utils/tagUtils";
+import { sanitizeSchedule, updateHouseSchedule } from "../utils/scheduleUtils";
+import { submitReport } from "../utils/reportUtils";
+import { updateHouseDetails } from "../utils/houseAdminUtils";
+import { MARKER_ICON, USER_POSITION_COLOR } from "../utils/mapProvider";
+import { FADED_MARKER_OPACITY, confirmLitThisSeason, getSeasonForDate, isLitInSeason } from "../utils/seasonUtils";
+
+const Map = ({
+  houses,
+  addMarker,
+  selectedHouse,
+  onSelectHouse,
+  tour,
+  season,
+  onBoundsChange,
+  highlightedHouseId,
+  userPosition,
+  onOpenLightbox,
+  onUploadPhotos,
+  provider = getMapProvider(), // Swap in the fake provider to run the map headlessly
+}) => {
   const mapRef = useRef(null);
   const [map, setMap] = useState(null);
 
   const infoWindowRef = useRef(null); // Ref for house InfoWindow
   const addHouseInfoWindowRef = useRef(null); // Ref for "Add House" InfoWindow
-  const markersRef = useRef([]); // Array of markers
   const markersMapRef = useRef({}); // Mapping of house ID to marker
+  const clustererRef = useRef(null); // Clusterer that owns the house markers
+  const renderedHousesRef = useRef({}); // Mapping of house ID to the house each marker shows
+  const showHouseInfoWindowRef = useRef(null); // Latest showHouseInfoWindow for marker listeners
+  const tourPolylineRef = useRef(null); // Polyline for the planned tour
+  const cancelAdjustPositionRef = useRef(null); // Cancels the marker position being adjusted, while one is
+  const userMarkerRef = useRef(null); // Dot at the visitor's position
+  const accuracyCircleRef = useRef(null); // Circle showing how precise that position is
 
   /**
    * Smoothly zooms the map to the target zoom level.
    */
   const smoothZoom = (map, targetZoom, step = 1, interval = 100) => {
-    const currentZoom = map.getZoom();
+    const currentZoom = provider.getZoom(map);
     if (currentZoom === targetZoom) return;
 
     const zoomStep = currentZoom < targetZoom ? step : -step;
 
     const zoomTimer = setInterval(() => {
-      const newZoom = map.getZoom() + zoomStep;
+      const newZoom = provider.getZoom(map) + zoomStep;
       if (
         (zoomStep > 0 && newZoom >= targetZoom) ||
         (zoomStep < 0 && newZoom <= targetZoom)
       ) {
-        map.setZoom(targetZoom);
+        provider.setZoom(map, targetZoom);
         clearInterval(zoomTimer);
       } else {
-        map.setZoom(newZoom);
+        provider.setZoom(map, newZoom);
       }
     }, interval);
   };
 
   useEffect(() => {
-    const loader = new Loader({
-      apiKey: process.env.NEXT_PUBLIC_GOOGLE_MAPS_API_KEY,
-      version: "weekly",
-      libraries: ["places"],
-    });
-
     const initMap = async () => {
       try {
-        await loader.load();
+        await provider.load();
 
-        if (typeof google === "undefined") {
-          console.error("Google Maps API failed to load.");
-          return;
-        }
-
-        const mapInstance = new google.maps.Map(mapRef.current, {
+        const mapInstance = provider.createMap(mapRef.current, {
           center: { lat: 39.326, lng: -120.183 },
           zoom: 12,
         });
 
         // Initialize the InfoWindow for houses
-        infoWindowRef.current = initializeInfoWindow();
+        infoWindowRef.current = provider.createInfoWindow(mapInstance);
 
-        if (!infoWindowRef.current) {
-          console.error("Failed to initialize InfoWindow.");
-          return;
-        }
-
-        // Add existing markers to the map
-        houses.forEach((house) => {
-          const marker = createEmojiMarker(mapInstance, house, showHouseInfoWindow);
-          markersRef.current.push(marker);
-          markersMapRef.current[house.id] = marker;
-        });
+        // Drop the house from the address bar once its InfoWindow is closed
+        provider.onInfoWindowClose(infoWindowRef.current, () => setLinkedHouseId(null));
 
         // Map Click Listener
-        mapInstance.addListener("click", (event) => {
-          const latLng = event.latLng;
+        provider.onMapClick(mapInstance, async (location) => {
+          // Clicks while adjusting a marker's position should not start adding a house
+          if (cancelAdjustPositionRef.current) return;
 
           // Close any open 'Add House' InfoWindow
           if (addHouseInfoWindowRef.current) {
-            addHouseInfoWindowRef.current.close();
+            provider.closeInfoWindow(addHouseInfoWindowRef.current);
             addHouseInfoWindowRef.current = null;
             return; // Do not open a new InfoWindow when closing the existing one
           }
 
           // Close any open house InfoWindow
           if (infoWindowRef.current) {
-            infoWindowRef.current.close();
+            provider.closeInfoWindow(infoWindowRef.current);
+            setLinkedHouseId(null);
           }
 
           // Smooth Zoom and Pan to Click Location
-          mapInstance.panTo(latLng);
+          provider.panTo(mapInstance, location);
           smoothZoom(mapInstance, 17);
 
           // Perform Geocoding
-          const geocoder = new google.maps.Geocoder();
-          geocoder.geocode({ location: latLng }, (results, status) => {
-            if (status === "OK") {
-              const resolvedAddress = results[0]?.formatted_address || "Address Not Found";
-
-              // Create a new 'Add House' InfoWindow and store the reference
-              addHouseInfoWindowRef.current = createStyledInfoWindow(
-                mapInstance,
-                latLng,
-                handleUserSelection,
-                resolvedAddress
-              );
-
-              // Add event listener for when the InfoWindow is manually closed
-              google.maps.event.addListener(addHouseInfoWindowRef.current, "closeclick", () => {
-                addHouseInfoWindowRef.current = null;
-              });
-            } else {
-              console.error("Geocode error:", status);
-              alert("Unable to determine the address for this location.");
-            }
-          });
+          try {
+            const [result] = await provider.reverseGeocode(location);
+            const resolvedAddress = result?.address || "Address Not Found";
+
+            // Create a new 'Add House' InfoWindow and store the reference
+            const addHouseInfoWindow = createStyledInfoWindow(
+              provider,
+              mapInstance,
+              location,
+              handleUserSelection,
+              resolvedAddress
+            );
+            addHouseInfoWindowRef.current = addHouseInfoWindow;
+
+            // Add event listener for when the InfoWindow is manually closed
+            provider.onInfoWindowClose(addHouseInfoWindow, () => {
+              addHouseInfoWindowRef.current = null;
+            });
+          } catch (error) {
+            console.error("Geocode error:", error);
+            alert("Unable to determine the address for this location.");
+          }
+        });
+
+        // Group house markers into clusters at low zoom levels
+        clustererRef.current = provider.createClusterer(mapInstance);
+
+        // Load the houses in view whenever the map settles after a pan or zoom
+        provider.onMapIdle(mapInstance, (bounds) => {
+          if (bounds && onBoundsChange) {
+            const { center, radiusMeters } = getBoundsCircle(bounds);
+            onBoundsChange(center, radiusMeters, bounds);
+          }
         });
 
         // Set the map instance
         setMap(mapInstance);
       } catch (error) {
-        console.error("Google Maps API error:", error);
+        console.error("Map failed to load:", error);
       }
     };
 
     initMap();
-  }, [houses]);
-
-  // Handle selection of a house via sidebar
-  useEffect(() => {
-    if (map && selectedHouse) {
-      // Close any existing 'Add House' InfoWindow
-      if (addHouseInfoWindowRef.current) {
-        addHouseInfoWindowRef.current.close();
-        addHouseInfoWindowRef.current = null;
-      }
-
-      // Close any existing house InfoWindow
-      if (infoWindowRef.current) {
-        infoWindowRef.current.close();
-      }
-
-      const house = houses.find((h) => h.id === selectedHouse);
-
-      if (house) {
-        const marker = markersMapRef.current[house.id];
-        if (marker) {
-          showHouseInfoWindow(marker, house);
-
-          // Pan and zoom to the selected house
-          map.panTo(new google.maps.LatLng(house.location.lat, house.location.lng));
-          smoothZoom(map, 15);
-        }
-      }
-    }
-  }, [selectedHouse, houses, map]);
+  }, []);
 
   // Handles user selection when adding a new house via map click.
-  const handleUserSelection = (address, location) => {
-    addMarker(address, location);
+  const handleUserSelection = (address, location, tagData) => {
+    addMarker(address, location, tagData);
 
     // Close the 'Add House' InfoWindow and reset the reference
     if (addHouseInfoWindowRef.current) {
-      addHouseInfoWindowRef.current.close();
+      provider.closeInfoWindow(addHouseInfoWindowRef.current);
       addHouseInfoWindowRef.current = null;
     }
   };
 
   // Creates and displays the InfoWindow for a house marker.
   const showHouseInfoWindow = async (marker, house) => {
+    // Opening a house cancels any position being adjusted, since closing its window in code below reports no close
+    cancelAdjustPositionRef.current?.();
+
     // Close any open 'Add House' InfoWindow
     if (addHouseInfoWindowRef.current) {
-      addHouseInfoWindowRef.current.close();
+      provider.closeInfoWindow(addHouseInfoWindowRef.current);
       addHouseInfoWindowRef.current = null;
     }
 
     // Close existing house InfoWindow
     if (infoWindowRef.current) {
-      infoWindowRef.current.close();
+      provider.closeInfoWindow(infoWindowRef.current);
     }
 
-    const photos = await fetchHousePhotos(house.id);
+    const [photoPage, userRating] = await Promise.all([
+      fetchHousePhotos(house.id),
+      fetchVisitorRating(house.id),
+    ]);
 
-    // Generate HTML content for the Info Window
-    const content = generateInfoWindowContent(house, photos);
+    // Keep the address bar pointing at the open house so it can be copied as a link
+    setLinkedHouseId(house.id);
 
-    // Set the content and open the InfoWindow
-    openInfoWindow(infoWindowRef.current, map, marker, content);
+    // Photos shown so far, and where the next page starts
+    let photos = photoPage.photos;
+    let nextPhotoCursor = photoPage.nextCursor;
+
+    // Generates the content, opens the InfoWindow and wires up its controls once they are in the DOM
+    const renderInfoWindow = () => {
+      const content = generateInfoWindowContent(house, photos, {
+        userRating,
+        currentUserId: getCurrentUserId(),
+        hasMorePhotos: Boolean(nextPhotoCursor),
+      });
+
+      provider.openInfoWindow(infoWindowRef.current, { content, marker, onReady: bindInfoWindowControls });
+    };
 
     // Smooth Zoom and Pan to House Location
-    map.panTo(new google.maps.LatLng(house.location.lat, house.location.lng));
+    provider.panTo(map, { lat: house.location.lat, lng: house.location.lng });
     smoothZoom(map, 15);
 
     // Close InfoWindow when clicking elsewhere on the map
-    google.maps.event.addListenerOnce(map, "click", () => {
-      if (infoWindowRef.current) {
-        infoWindowRef.current.close();
+    const removeCloseOnClick = provider.onMapClick(map, () => {
+      removeCloseOnClick();
+      if (infoWindowRef.current && !cancelAdjustPositionRef.current) {
+        provider.closeInfoWindow(infoWindowRef.current);
       }
     });
 
-    // Add event listeners for uploading photos and image clicks
-    google.maps.event.addListenerOnce(infoWindowRef.current, "domready", () => {
+    // Add event listeners for uploading photos and image clicks, once the content is in the page
+    const bindInfoWindowControls = (root) => {
       // Upload Photos Button Logic
-      const uploadPhotosBtn = document.getElementById(`upload-photos-btn-${house.id}`);
+      const uploadPhotosBtn = root.querySelector(`#upload-photos-btn-${house.id}`);
 
       if (uploadPhotosBtn) {
-        uploadPhotosBtn.addEventListener("click", async () => {
+        uploadPhotosBtn.addEventListener("click", () => {
+          // Create a file input element dynamically
+          const fileInput = document.createElement('input');
+          fileInput.type = 'file';
+          fileInput.accept = 'image/*';
+          fileInput.multiple = true;
+
+          // Hand the selected files to the upload manager, which tracks each one
+          fileInput.onchange = () => {
+            const files = Array.from(fileInput.files);
+            if (files.length > 0) {
+              onUploadPhotos(house, files);
+            }
+          };
+
+          // Trigger the file input dialog
+          fileInput.click();
+        });
+      }
+
+      // Season Confirmation Logic
+      const confirmLitBtn = root.querySelector(`#confirm-lit-btn-${house.id}`);
+
+      if (confirmLitBtn) {
+        confirmLitBtn.addEventListener("click", async () => {
+          confirmLitBtn.disabled = true;
+
+          try {
+            const confirmedSeason = await confirmLitThisSeason(house.id);
+
+            // Reopen showing the house as confirmed
+            showHouseInfoWindow(marker, {
+              ...house,
+              seasons: { ...house.seasons, [confirmedSeason]: { confirmedAt: new Date() } },
+            });
+          } catch (error) {
+            console.error("Error confirming house is lit:", error);
+            alert("An error occurred while confirming this house.");
+            confirmLitBtn.disabled = false;
+          }
+        });
+      }
+
+      // Tag Editor Logic
+      const saveTagsBtn = root.querySelector(`#save-tags-btn-${house.id}`);
+
+      if (saveTagsBtn) {
+        saveTagsBtn.addEventListener("click", async () => {
+          saveTagsBtn.disabled = true;
+
+          try {
+            const { tags, musicFrequency } = readTagPicker(root.querySelector(`#edit-tags-${house.id}`));
+            const tagData = await updateHouseTags(house.id, tags, musicFrequency);
+
+            // Reopen showing the saved tags
+            showHouseInfoWindow(marker, { ...house, ...tagData });
+          } catch (error) {
+            console.error("Error saving tags:", error);
+            alert("An error occurred while saving the tags.");
+            saveTagsBtn.disabled = false;
+          }
+        });
+      }
+
+      // Schedule Editor Logic
+      const saveScheduleBtn = root.querySelector(`#save-schedule-btn-${house.id}`);
+
+      if (saveScheduleBtn) {
+        saveScheduleBtn.addEventListener("click", async () => {
+          // Point out mistyped hours or dates before saving
+          let schedule;
+          try {
+            schedule = sanitizeSchedule(readScheduleEditor(root.querySelector(`#edit-schedule-${house.id}`)));
+          } catch (error) {
+            alert(error.message);
+            return;
+          }
+
+          saveScheduleBtn.disabled = true;
+
+          try {
+            const savedSchedule = await updateHouseSchedule(house.id, schedule ?? {});
+
+            // Reopen showing the new status
+            showHouseInfoWindow(marker, { ...house, schedule: savedSchedule });
+          } catch (error) {
+            console.error("Error saving schedule:", error);
+            alert("An error occurred while saving the hours.");
+            saveScheduleBtn.disabled = false;
+          }
+        });
+      }
+
+      // Report Logic
+      const submitReportBtn = root.querySelector(`#submit-report-btn-${house.id}`);
+
+      if (submitReportBtn) {
+        submitReportBtn.addEventListener("click", async () => {
+          const reportForm = root.querySelector(`#report-house-${house.id}`);
+          submitReportBtn.disabled = true;
+
           try {
-            // Disable the button to prevent multiple uploads
-            uploadPhotosBtn.disabled = true;
-
-            // Create a file input element dynamically
-            const fileInput = document.createElement('input');
-            fileInput.type = 'file';
-            fileInput.accept = 'image/*';
-            fileInput.multiple = true;
-
-            // Listen for file selection
-            fileInput.onchange = async () => {
-              const files = Array.from(fileInput.files);
-              if (files.length === 0) {
-                alert("No files selected.");
-                uploadPhotosBtn.disabled = false;
-                return;
-              }
-
-              // Show a loading indicator
-              const loadingIndicator = document.createElement('div');
-              loadingIndicator.id = 'loading-indicator';
-              loadingIndicator.innerText = 'Uploading photos...';
-              loadingIndicator.style.cssText = `
-                position: fixed;
-                top: 50%;
-                left: 50%;
-                transform: translate(-50%, -50%);
-                background-color: rgba(0, 0, 0, 0.8);
-                color: #ecf0f1;
-                padding: 20px;
-                border-radius: 8px;
-                z-index: 1000;
-              `;
-              document.body.appendChild(loadingIndicator);
-
-              try {
-                // Upload each selected file to Firebase Storage with optimization
-                const uploadPromises = files.map(async (file) => {
-                  // Resize and compress the image before upload
-                  const optimizedFile = await resizeImage(file);
-
-                  // Log the optimized file name
-                  console.log("Original File Name:", file.name);
-                  console.log("Optimized File Name:", optimizedFile.name);
-
-                  if (!optimizedFile.name) {
-                    throw new Error("optimizedFile.name is undefined.");
-                  }
-
-                  // Corrected Storage Path: Include 'photos' subdirectory
-                  const storageRef = ref(storage, `houses/${house.id}/photos/${optimizedFile.name}`);
-                  const uploadTask = uploadBytesResumable(storageRef, optimizedFile);
-
-                  // Optional: Monitor upload progress
-                  uploadTask.on('state_changed', (snapshot) => {
-                    const progress = (snapshot.bytesTransferred / snapshot.totalBytes) * 100;
-                    console.log(`Upload is ${progress}% done`);
-                    // Optionally, update a progress bar here
-                  });
-
-                  // Wait for upload to complete
-                  await uploadTask;
-
-                  // Get the download URL
-                  const downloadURL = await getDownloadURL(storageRef);
-
-                  // Add photo metadata to Firestore subcollection
-                  await addDoc(collection(db, 'houses', house.id, 'photos'), {
-                    downloadURL,
-                    storagePath: storageRef.fullPath,
-                    uploadedAt: serverTimestamp(),
-                    fileName: optimizedFile.name,
-                  });
-                });
-
-                await Promise.all(uploadPromises);
-                alert("Photos uploaded successfully.");
-              } catch (error) {
-                console.error("Error uploading photos:", error);
-                alert("An error occurred while uploading photos.");
-              } finally {
-                // Remove the loading indicator and re-enable the button
-                document.body.removeChild(loadingIndicator);
-                uploadPhotosBtn.disabled = false;
-
-                // Refresh the photos in the InfoWindow
-                const updatedPhotos = await fetchHousePhotos(house.id);
-                const updatedContent = generateInfoWindowContent(house, updatedPhotos);
-                openInfoWindow(infoWindowRef.current, map, marker, updatedContent);
-              }
-            };
-
-            // Trigger the file input dialog
-            fileInput.click();
+            await submitReport(
+              house,
+              reportForm.querySelector("select[data-report-reason]").value,
+              reportForm.querySelector("textarea[data-report-comment]").value
+            );
+            submitReportBtn.textContent = "✅ Thanks, we'll take a look";
           } catch (error) {
-            console.error("Error initiating photo upload:", error);
-            alert("An error occurred while initiating photo upload.");
-            uploadPhotosBtn.disabled = false;
+            console.error("Error submitting report:", error);
+            alert("An error occurred while sending your report.");
+            submitReportBtn.disabled = false;
           }
         });
       }
 
+      // Share Button Logic
+      const shareHouseBtn = root.querySelector(`#share-house-btn-${house.id}`);
+
+      if (shareHouseBtn) {
+        shareHouseBtn.addEventListener("click", async () => {
+          try {
+            const result = await shareHouse(house);
+            if (result === "copied") {
+              shareHouseBtn.textContent = "✅ Link copied";
+            }
+          } catch (error) {
+            console.error("Error sharing house:", error);
+            alert("Unable to share this house. Copy the link from the address bar instead.");
+          }
+        });
+      }
+
+      // Adjust Position Logic
+      const adjustPositionBtn = root.querySelector(`#adjust-position-btn-${house.id}`);
+
+      if (adjustPositionBtn) {
+        adjustPositionBtn.addEventListener("click", () => startAdjustPosition(marker, house));
+      }
+
+      // Load More Photos Logic
+      const loadMorePhotosBtn = root.querySelector(`#load-more-photos-btn-${house.id}`);
+
+      if (loadMorePhotosBtn) {
+        loadMorePhotosBtn.addEventListener("click", async () => {
+          loadMorePhotosBtn.disabled = true;
+
+          const nextPage = await fetchHousePhotos(house.id, nextPhotoCursor);
+          photos = [...photos, ...nextPage.photos];
+          nextPhotoCursor = nextPage.nextCursor;
+          renderInfoWindow();
+        });
+      }
+
+      // Star Rating Logic
+      const ratingButtons = root.querySelectorAll("button[data-rating-value]");
+      ratingButtons.forEach((button) => {
+        button.addEventListener("click", async () => {
+          const stars = Number(button.dataset.ratingValue);
+          ratingButtons.forEach((ratingButton) => (ratingButton.disabled = true));
+
+          try {
+            const aggregate = await submitRating(house.id, stars);
+
+            // Reopen with the new score and the visitor's rating highlighted
+            showHouseInfoWindow(marker, { ...house, ...aggregate });
+          } catch (error) {
+            console.error("Error submitting rating:", error);
+            alert("An error occurred while saving your rating.");
+            ratingButtons.forEach((ratingButton) => (ratingButton.disabled = false));
+          }
+        });
+      });
+
       // Photo Click Logic
-      const images = document.querySelectorAll(".gm-style-iw img[data-photo-index]");
+      const images = root.querySelectorAll("img[data-photo-index]");
       images.forEach((img) => {
         img.addEventListener("click", () => {
-          const url = img.src;
-          // Create a modal popup to display the larger image
-          const modal = document.createElement('div');
-          modal.id = 'photo-modal';
-          modal.style.cssText = `
-            position: fixed;
-            top: 0;
-            left: 0;
-            width: 100%;
-            height: 100%;
-            background-color: rgba(0,0,0,0.8);
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            z-index: 1000;
-          `;
-          modal.innerHTML = `
-            <img src="${url}" style="max-width: 90%; max-height: 90%; border: 5px solid white; border-radius: 8px; cursor: pointer;" />
-          `;
-          document.body.appendChild(modal);
-
-          // Close modal when clicking on the image or outside
-          modal.addEventListener('click', () => {
-            document.body.removeChild(modal);
+          // Open the lightbox on this photo, handing over the pages already loaded
+          onOpenLightbox({
+            house,
+            photos,
+            nextCursor: nextPhotoCursor,
+            startIndex: Number(img.dataset.photoIndex),
           });
         });
       });
-    });
-  };
-
-    /**
-     * Centers the map on the selected house and opens its Info Window.
-     * @param {Object} house - The house to focus on.
-     */
-    const focusOnHouse = (house) => {
-        if (!map) return; // Ensure the map is loaded
+    };
 
-        const position = new google.maps.LatLng(house.location.lat, house.location.lng);
+    renderInfoWindow();
+  };
 
-        if (map) {
-            map.panTo(position);
-            map.setZoom(17); // Adjust the zoom level as needed
+  /**
+   * Lets the user drag a house marker to its correct spot, then saves the new
+   * location and reverse-geocoded address once they confirm.
+   * @param {Object} marker - The provider's marker of the house.
+   * @param {Object} house - The house being moved.
+   */
+  const startAdjustPosition = (marker, house) => {
+    const adjustment = startPositionAdjustment(provider, {
+      marker,
+      infoWindow: infoWindowRef.current,
+      renderContent: (state) => generateAdjustPositionContent(house, state),
+      bindControls: (root, { save, cancel }) => {
+        const saveBtn = root.querySelector(`#save-position-btn-${house.id}`);
+        const cancelBtn = root.querySelector(`#cancel-position-btn-${house.id}`);
+
+        if (saveBtn) {
+          saveBtn.addEventListener("click", async () => {
+            saveBtn.disabled = true;
+            if (!(await save())) saveBtn.disabled = false;
+          });
         }
+        if (cancelBtn) cancelBtn.addEventListener("click", cancel);
+      },
+      // The houses listener then moves the marker and updates its data
+      onSave: (suggestion) => updateHouseDetails(house.id, suggestion),
+      onSaveError: (error) => {
+        console.error("Error saving house position:", error);
+        alert("An error occurred while saving the new position.");
+      },
+      onGeocodeError: (error) => {
+        console.error("Geocode error:", error);
+        alert("Unable to determine the address for this location. Try dropping the marker again.");
+      },
+      onFinish: () => {
+        cancelAdjustPositionRef.current = null;
+      },
+    });
 
-        if (house.id === "temp") {
-            // For temporary house, invoke the 'createStyledInfoWindow' to get user input
-            createStyledInfoWindow(map, position, handleUserSelection, house.address);
-        } else {
-            const marker = markersMapRef.current[house.id];
-            if (marker) {
-                showHouseInfoWindow(marker, house);
-            }
-        }
+    cancelAdjustPositionRef.current = adjustment.cancel;
+  };
+
+    // Markers outlive renders, so their click listeners go through refs to see current data
+    showHouseInfoWindowRef.current = showHouseInfoWindow;
+    const handleMarkerClick = (marker, house) => {
+        showHouseInfoWindowRef.current(marker, renderedHousesRef.current[house.id] || house);
     };
 
-    // Effect to render markers on houses change
+    // Effect to sync markers with houses, touching only the ones that changed
     useEffect(() => {
         if (!map) return;
 
-        // Clear existing markers
-        markersRef.current.forEach(marker => marker.setMap(null));
-        markersRef.current = [];
-        markersMapRef.current = {};
-
-        // Add new markers
-        houses.forEach(house => {
-            // Ensure house has necessary data
-            if (!house.location || !house.location.lat || !house.location.lng) {
-                console.error("House is missing location data:", house);
-                return;
-            }
-
-            const marker = createEmojiMarker(map, house, showHouseInfoWindow);
-            if (marker) {
-                markersRef.current.push(marker);
-                markersMapRef.current[house.id] = marker;
+        syncHouseMarkers(
+            provider,
+            map,
+            { markers: markersMapRef.current, renderedHouses: renderedHousesRef.current },
+            houses,
+            {
+                clusterer: clustererRef.current,
+                onMarkerClick: handleMarkerClick,
+                // Fade houses that are shown only because they were lit last season
+                getOpacity: (house) =>
+                    season === getSeasonForDate() && !isLitInSeason(house, season) ? FADED_MARKER_OPACITY : 1,
             }
-        });
-    }, [houses, map]);
+        );
+    }, [houses, map, season]);
 
     // Updated Effect to handle 'selectedHouse' changes
     useEffect(() => {
@@ -411,10 +489,10 @@ const Map = ({ houses, addMarker, selectedHouse, onSelectHouse }) => {
 
             // Center the map on the selected house
             // Start of Selection
-            map.panTo({ lat: location.lat, lng: location.lng });
+            provider.panTo(map, { lat: location.lat, lng: location.lng });
 
             // Zoom in if necessary
-            map.setZoom(17);
+            provider.setZoom(map, 17);
 
             if (id) {
                 // House exists in database, find its marker
@@ -426,11 +504,12 @@ const Map = ({ houses, addMarker, selectedHouse, onSelectHouse }) => {
             } else {
                 // House not in database, prompt user to add the house
                 createStyledInfoWindow(
+                    provider,
                     map,
-                    new google.maps.LatLng(location.lat, location.lng),
-                    (address, location) => {
+                    { lat: location.lat, lng: location.lng },
+                    (address, location, tagData) => {
                         // User confirmed to add the house
-                        addMarker(address, location);
+                        addMarker(address, location, tagData);
                         // After adding, you might want to setSelectedHouse with new house data
                         // Depending on how addMarker updates the houses state
                     },
@@ -440,6 +519,67 @@ const Map = ({ houses, addMarker, selectedHouse, onSelectHouse }) => {
         }
     }, [selectedHouse, map]);
 
+    // Effect to bounce the marker of the house hovered in the sidebar list
+    useEffect(() => {
+        if (!map || !highlightedHouseId) return;
+
+        const marker = markersMapRef.current[highlightedHouseId];
+        if (!marker) return;
+
+        provider.setMarkerHighlighted(marker, true);
+        return () => provider.setMarkerHighlighted(marker, false);
+    }, [highlightedHouseId, map, houses]);
+
+    // Effect to show the visitor's live position, centering on it at the first fix
+    useEffect(() => {
+        if (!map) return;
+
+        if (!userPosition) {
+            if (userMarkerRef.current) {
+                provider.removeMarker(userMarkerRef.current);
+                provider.removeShape(accuracyCircleRef.current);
+                userMarkerRef.current = null;
+                accuracyCircleRef.current = null;
+            }
+            return;
+        }
+
+        const position = { lat: userPosition.lat, lng: userPosition.lng };
+
+        if (!userMarkerRef.current) {
+            userMarkerRef.current = provider.createMarker(map, {
+                position,
+                icon: MARKER_ICON.USER,
+                title: "You are here",
+            });
+            accuracyCircleRef.current = provider.createCircle(map, {
+                center: position,
+                radiusMeters: userPosition.accuracyMeters,
+                color: USER_POSITION_COLOR,
+            });
+
+            provider.panTo(map, position);
+            smoothZoom(map, 15);
+        } else {
+            provider.setMarkerPosition(userMarkerRef.current, position);
+            provider.setCircle(accuracyCircleRef.current, { center: position, radiusMeters: userPosition.accuracyMeters });
+        }
+    }, [userPosition, map]);
+
+    // Effect to draw the planned tour route
+    useEffect(() => {
+        if (!map) return;
+
+        if (tourPolylineRef.current) {
+            provider.removeShape(tourPolylineRef.current);
+            tourPolylineRef.current = null;
+        }
+
+        if (tour && tour.path.length > 1) {
+            tourPolylineRef.current = createTourPolyline(provider, map, tour.path);
+        }
+    }, [tour, map]);
+
     return <div id="map" ref={mapRef} className="h-full w-full" />;
 };
 
@@ -0,0 +1,67 @@
+import React, { useMemo } from "react";
+import { formatMiles, haversineDistance } from "../utils/tourUtils";
+import { formatDirection, getBearing } from "../utils/locationUtils";
+
+// How many of the closest displays to list
+const NEAR_ME_LIMIT = 5;
+
+const NearMePanel = ({ houses, userPosition, isLocating, locationError, onToggleNearMe, onSelectHouse }) => {
+    // Closest houses first, with distance and direction from the visitor
+    const closestHouses = useMemo(() => {
+        if (!userPosition) return [];
+
+        return houses
+            .filter((house) => house.location)
+            .map((house) => ({
+                house,
+                distanceMeters: haversineDistance(userPosition, house.location),
+                direction: formatDirection(getBearing(userPosition, house.location)),
+            }))
+            .sort((a, b) => a.distanceMeters - b.distanceMeters)
+            .slice(0, NEAR_ME_LIMIT);
+    }, [houses, userPosition]);
+
+    return (
+        <div className="flex flex-col space-y-3">
+            <div className="flex items-center justify-between">
+                <h2 className="text-2xl font-semibold">📍 Near Me</h2>
+                <button
+                    onClick={onToggleNearMe}
+                    className="px-3 py-1 bg-gold text-christmasGreen font-semibold rounded hover:bg-snowWhite transition"
+                >
+                    {isLocating ? "Stop" : "Locate me"}
+                </button>
+            </div>
+
+            {locationError && <p className="text-sm text-gray-200">⚠️ {locationError}</p>}
+
+            {isLocating && !userPosition && !locationError && (
+                <p className="text-sm text-gray-200">Finding your location...</p>
+            )}
+
+            {userPosition && (
+                closestHouses.length === 0 ? (
+                    <p className="text-sm text-gray-200">No displays on the map near you yet.</p>
+                ) : (
+                    <ol className="space-y-1">
+                        {closestHouses.map(({ house, distanceMeters, direction }) => (
+                            <li key={house.id}>
+                                <button
+                                    onClick={() => onSelectHouse(house)}
+                                    className="flex w-full justify-between space-x-2 text-left hover:text-gold"
+                                >
+                                    <span className="truncate">{house.address}</span>
+                                    <span className="flex-shrink-0 text-sm">
+                                        {formatMiles(distanceMeters)} {direction}
+                                    </span>
+                                </button>
+                            </li>
+                        ))}
+                    </ol>
+                )
+            )}
+        </div>
+    );
+};
+
+export default NearMePanel;
@@ -0,0 +1,41 @@
+import React from 'react';
+import { describeQueuedAction } from '../utils/offlineQueue';
+
+const OfflineIndicator = ({ isOnline, pendingCount, droppedActions = [], onDismissDropped }) => {
+    const showStatus = !isOnline || pendingCount > 0;
+    if (!showStatus && droppedActions.length === 0) return null;
+
+    const pendingText = `${pendingCount} pending ${pendingCount === 1 ? "submission" : "submissions"}`;
+
+    return (
+        <div className="fixed top-20 md:top-4 left-1/2 -translate-x-1/2 z-[60] flex flex-col items-center gap-2">
+            {showStatus && (
+                <div className="px-4 py-2 rounded-full shadow-lg bg-christmasRed text-snowWhite text-sm whitespace-nowrap">
+                    {isOnline
+                        ? `🔄 Syncing ${pendingText}...`
+                        : pendingCount > 0
+                            ? `📴 Offline · ${pendingText} will sync when you're back online`
+                            : "📴 Offline · showing the last-known houses"}
+                </div>
+            )}
+
+            {/* Queued submissions that kept failing were dropped, so say which ones were lost */}
+            {droppedActions.length > 0 && (
+                <div role="alert" className="flex items-center gap-3 max-w-[90vw] px-4 py-2 rounded-lg shadow-lg bg-christmasRed text-snowWhite text-sm">
+                    <span>
+                        ⚠️ Couldn't save {droppedActions.map(describeQueuedAction).join(", ")} after several tries. Please try again.
+                    </span>
+                    <button
+                        onClick={onDismissDropped}
+                        className="text-snowWhite hover:text-gold"
+                        aria-label="Dismiss"
+                    >
+                        ✕
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default OfflineIndicator;
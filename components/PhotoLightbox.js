@@ -0,0 +1,167 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { fetchHousePhotos } from "../utils/mapUtils";
+
+// Minimum horizontal travel of a touch, in pixels, that counts as a swipe
+const SWIPE_THRESHOLD_PX = 50;
+
+const PhotoLightbox = ({ house, initialPhotos = null, initialCursor = null, startIndex = 0, onClose }) => {
+    const [photos, setPhotos] = useState(initialPhotos || []);
+    const [nextCursor, setNextCursor] = useState(initialCursor);
+    const [index, setIndex] = useState(startIndex);
+    const [isLoading, setIsLoading] = useState(!initialPhotos);
+
+    const touchStartXRef = useRef(null);
+    const isFetchingRef = useRef(false);
+
+    /**
+     * Fetches the first page of photos when opened without any, e.g. from the sidebar.
+     */
+    useEffect(() => {
+        if (initialPhotos) return;
+
+        let isCancelled = false;
+        fetchHousePhotos(house.id).then((page) => {
+            if (isCancelled) return;
+            setPhotos(page.photos);
+            setNextCursor(page.nextCursor);
+            setIsLoading(false);
+        });
+
+        return () => {
+            isCancelled = true;
+        };
+    }, [house.id, initialPhotos]);
+
+    /**
+     * Fetches the next page of photos as the viewer nears the end of the loaded ones.
+     */
+    useEffect(() => {
+        if (!nextCursor || isFetchingRef.current || index < photos.length - 2) return;
+
+        isFetchingRef.current = true;
+        fetchHousePhotos(house.id, nextCursor).then((page) => {
+            setPhotos((prevPhotos) => [...prevPhotos, ...page.photos]);
+            setNextCursor(page.nextCursor);
+            isFetchingRef.current = false;
+        });
+    }, [house.id, index, photos.length, nextCursor]);
+
+    /**
+     * Preloads the neighboring photos so navigation feels instant.
+     */
+    useEffect(() => {
+        [photos[index + 1], photos[index - 1]].forEach((photo) => {
+            if (photo) {
+                const image = new Image();
+                image.src = photo.downloadURL;
+            }
+        });
+    }, [photos, index]);
+
+    const showPrevious = useCallback(() => {
+        setIndex((prevIndex) => Math.max(prevIndex - 1, 0));
+    }, []);
+
+    const showNext = useCallback(() => {
+        setIndex((prevIndex) => Math.min(prevIndex + 1, photos.length - 1));
+    }, [photos.length]);
+
+    /**
+     * Handles arrow key navigation and closing on Escape.
+     */
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (e.key === "ArrowLeft") showPrevious();
+            else if (e.key === "ArrowRight") showNext();
+            else if (e.key === "Escape") onClose();
+        };
+
+        window.addEventListener("keydown", handleKeyDown);
+        return () => window.removeEventListener("keydown", handleKeyDown);
+    }, [showPrevious, showNext, onClose]);
+
+    const handleTouchStart = (e) => {
+        touchStartXRef.current = e.touches[0].clientX;
+    };
+
+    const handleTouchEnd = (e) => {
+        if (touchStartXRef.current === null) return;
+
+        const deltaX = e.changedTouches[0].clientX - touchStartXRef.current;
+        touchStartXRef.current = null;
+
+        if (deltaX > SWIPE_THRESHOLD_PX) showPrevious();
+        else if (deltaX < -SWIPE_THRESHOLD_PX) showNext();
+    };
+
+    const photo = photos[index];
+
+    return (
+        <div
+            className="fixed inset-0 z-[1000] flex flex-col items-center justify-center bg-black bg-opacity-90 text-snowWhite select-none"
+            onClick={onClose}
+            onTouchStart={handleTouchStart}
+            onTouchEnd={handleTouchEnd}
+            role="dialog"
+            aria-modal="true"
+            aria-label={`Photos of ${house.address}`}
+        >
+            {/* Close Button */}
+            <button
+                onClick={onClose}
+                className="absolute top-4 right-4 text-3xl hover:text-gold"
+                aria-label="Close"
+            >
+                ✕
+            </button>
+
+            {isLoading ? (
+                <p>Loading photos...</p>
+            ) : !photo ? (
+                <p>No photos available.</p>
+            ) : (
+                <>
+                    <img
+                        src={photo.downloadURL}
+                        alt={`Photo ${index + 1} of ${house.address}`}
+                        className="max-w-[90%] max-h-[80%] border-4 border-snowWhite rounded-lg"
+                        onClick={(e) => e.stopPropagation()}
+                    />
+
+                    {/* Position */}
+                    <p className="mt-4 text-lg">
+                        {index + 1} / {photos.length}{nextCursor ? "+" : ""}
+                    </p>
+
+                    {/* Previous / Next */}
+                    {index > 0 && (
+                        <button
+                            onClick={(e) => {
+                                e.stopPropagation();
+                                showPrevious();
+                            }}
+                            className="absolute left-4 top-1/2 -translate-y-1/2 text-5xl hover:text-gold"
+                            aria-label="Previous photo"
+                        >
+                            ‹
+                        </button>
+                    )}
+                    {index < photos.length - 1 && (
+                        <button
+                            onClick={(e) => {
+                                e.stopPropagation();
+                                showNext();
+                            }}
+                            className="absolute right-4 top-1/2 -translate-y-1/2 text-5xl hover:text-gold"
+                            aria-label="Next photo"
+                        >
+                            ›
+                        </button>
+                    )}
+                </>
+            )}
+        </div>
+    );
+};
+
+export default PhotoLightbox;
@@ -0,0 +1,28 @@
+import React from "react";
+
+const SeasonSelector = ({ season, seasons, currentSeason, onChangeSeason }) => {
+    return (
+        <div className="flex flex-col space-y-2">
+            <label htmlFor="season-select" className="text-2xl font-semibold">📅 Season</label>
+            <select
+                id="season-select"
+                value={season}
+                onChange={(e) => onChangeSeason(Number(e.target.value))}
+                className="p-2 rounded bg-snowWhite text-christmasGreen focus:outline-none focus:ring-2 focus:ring-gold"
+            >
+                {seasons.map((year) => (
+                    <option key={year} value={year}>
+                        {year}–{String(year + 1).slice(-2)}{year === currentSeason ? " (this season)" : ""}
+                    </option>
+                ))}
+            </select>
+            {season === currentSeason && (
+                <p className="text-sm text-gray-200">
+                    Faded trees were lit last season. Open one and confirm it if it is lit again this year.
+                </p>
+            )}
+        </div>
+    );
+};
+
+export default SeasonSelector;
@@ -1,28 +1,70 @@
 import { useState, useEffect, useRef } from "react";
-
-const Sidebar = ({ addMarker, onSelectHouse, houses, closeSidebar }) => {
+import TourPlanner from "./TourPlanner";
+import AccountPanel from "./AccountPanel";
+import SeasonSelector from "./SeasonSelector";
+import TagFilters from "./TagFilters";
+import HouseList from "./HouseList";
+import NearMePanel from "./NearMePanel";
+import { addressesMatch, normalizeAddress } from "../utils/addressUtils";
+import { getMapProvider } from "../utils/mapUtils";
+
+const Sidebar = ({ addMarker, onSelectHouse, houses, closeSidebar, tourProps, seasonProps, tagFilterProps, openNowOnly, onToggleOpenNow, houseListProps, nearMeProps, user, selectedHouse, onOpenPhotos }) => {
     const [address, setAddress] = useState("");
     const [isAdding, setIsAdding] = useState(false);
 
     const searchInputRef = useRef(null);
-    const autocompleteRef = useRef(null);
 
+    // Suggest addresses as the user types, once the map provider has loaded
     useEffect(() => {
-        if (typeof google !== "undefined" && google.maps && google.maps.places) {
-            autocompleteRef.current = new google.maps.places.Autocomplete(searchInputRef.current, {
-                types: ["address"],
-                componentRestrictions: { country: "us" },
-            });
-            
-            autocompleteRef.current.addListener("place_changed", () => {
-                const place = autocompleteRef.current.getPlace();
-                if (place && place.formatted_address) {
-                    setAddress(place.formatted_address);
+        const provider = getMapProvider();
+        let removeAutocomplete = null;
+        let isUnmounted = false;
+
+        provider
+            .load()
+            .then(() => {
+                if (!isUnmounted) {
+                    removeAutocomplete = provider.attachAutocomplete(searchInputRef.current, setAddress);
                 }
-            });
-        }
+            })
+            .catch((error) => console.error("Map provider failed to load:", error));
+
+        return () => {
+            isUnmounted = true;
+            if (removeAutocomplete) removeAutocomplete();
+        };
     }, []);
 
+    /**
+     * Looks up an address that is not on the map yet and hands it to the parent to add.
+     * @param {string} searchAddress - The address entered.
+     */
+    const geocodeNewHouse = async (searchAddress) => {
+        try {
+            const provider = getMapProvider();
+            await provider.load();
+
+            const [result] = await provider.geocode(searchAddress);
+            if (result) {
+                const newHouse = {
+                    id: null, // House not in database yet
+                    address: result.address,
+                    normalizedAddress: normalizeAddress(result.address),
+                    location: result.location,
+                };
+                // Notify parent to handle this new house
+                onSelectHouse(newHouse);
+            } else {
+                alert("No location was found for that address.");
+            }
+        } catch (error) {
+            console.error("Geocode error:", error);
+            alert("An error occurred while looking up the address.");
+        } finally {
+            setIsAdding(false);
+        }
+    };
+
     const handleAddressSubmit = async (e) => {
         e.preventDefault();
 
@@ -33,13 +75,9 @@ const Sidebar = ({ addMarker, onSelectHouse, houses, closeSidebar }) => {
 
         setIsAdding(true);
 
-        const normalizeAddress = (address) => address.trim().toLowerCase();
-
-        const normalizedAddress = normalizeAddress(address);
-
-        // Check if the house exists in the houses array
+        // Check if the house exists in the houses array, allowing for spelling differences
         const existingHouse = houses.find(
-            (h) => h.normalizedAddress === normalizedAddress
+            (h) => addressesMatch(h.address, address)
         );
 
         if (existingHouse) {
@@ -48,30 +86,7 @@ const Sidebar = ({ addMarker, onSelectHouse, houses, closeSidebar }) => {
             setIsAdding(false);
         } else {
             // House not in database, perform geocoding
-            if (typeof google === "undefined" || !google.maps) {
-                alert("Google Maps API is not loaded yet.");
-                setIsAdding(false);
-                return;
-            }
-            const geocoder = new google.maps.Geocoder();
-            geocoder.geocode({ address: address }, (results, status) => {
-                if (status === "OK" && results[0]) {
-                    const location = results[0].geometry.location.toJSON();
-                    const newHouse = {
-                        id: null, // House not in database yet
-                        address: results[0].formatted_address,
-                        normalizedAddress: normalizeAddress(results[0].formatted_address),
-                        location: location,
-                    };
-                    // Notify parent to handle this new house
-                    onSelectHouse(newHouse);
-                } else {
-                    alert(
-                        "Geocode was not successful for the following reason: " + status
-                    );
-                }
-                setIsAdding(false);
-            });
+            geocodeNewHouse(address);
         }
 
         setAddress("");
@@ -83,7 +98,7 @@ const Sidebar = ({ addMarker, onSelectHouse, houses, closeSidebar }) => {
     };
 
     return (
-        <div className="flex flex-col space-y-6 bg-christmasGreen p-6 text-snowWhite h-full w-64 md:w-full">
+        <div className="flex flex-col space-y-6 bg-christmasGreen p-6 text-snowWhite h-full w-64 md:w-full overflow-y-auto">
             {/* Close Button on Mobile */}
             <button
                 className="self-end md:hidden"
@@ -101,6 +116,25 @@ const Sidebar = ({ addMarker, onSelectHouse, houses, closeSidebar }) => {
                 Your map to a Christmas light tour of Truckee. Please be respectful of neighbors, adhere to speed limits, and enjoy the festive spirit responsibly!
             </p>
 
+            {/* Season Section */}
+            {seasonProps && <SeasonSelector {...seasonProps} />}
+
+            {/* Tag Filter Section */}
+            {tagFilterProps && <TagFilters {...tagFilterProps} />}
+
+            {/* Open Now Toggle */}
+            {onToggleOpenNow && (
+                <label className="flex items-center space-x-2 cursor-pointer">
+                    <input
+                        type="checkbox"
+                        checked={openNowOnly}
+                        onChange={onToggleOpenNow}
+                        className="accent-gold"
+                    />
+                    <span>🕔 Open now <span className="text-sm text-gray-200">(displays with hours listed)</span></span>
+                </label>
+            )}
+
             {/* Search/Add House Section */}
             <h2 className="text-2xl font-semibold">🏠 Search or Add a House</h2>
             <form onSubmit={handleAddressSubmit} className="flex flex-col space-y-4">
@@ -125,6 +159,53 @@ const Sidebar = ({ addMarker, onSelectHouse, houses, closeSidebar }) => {
             <p className="text-sm text-gray-200">
                 🎄 Click on the map to add a house or use the search above to add/find a house with Christmas lights.
             </p>
+
+            {/* Selected House Section */}
+            {selectedHouse?.id && (
+                <div className="flex flex-col space-y-2 p-4 rounded-lg bg-snowWhite text-christmasGreen">
+                    <h2 className="text-xl font-semibold truncate">🏠 {selectedHouse.address}</h2>
+                    <button
+                        onClick={() => {
+                            onOpenPhotos(selectedHouse);
+                            if (closeSidebar) closeSidebar();
+                        }}
+                        className="p-2 bg-gold text-christmasGreen font-semibold rounded hover:bg-christmasGreen hover:text-snowWhite transition"
+                    >
+                        📷 View photos
+                    </button>
+                </div>
+            )}
+
+            {/* Near Me Section */}
+            {nearMeProps && (
+                <NearMePanel
+                    houses={houses}
+                    onSelectHouse={(house) => {
+                        onSelectHouse(house);
+                        if (closeSidebar) closeSidebar();
+                    }}
+                    {...nearMeProps}
+                />
+            )}
+
+            {/* House List Section */}
+            {houseListProps && (
+                <HouseList
+                    houses={houses}
+                    selectedHouseId={selectedHouse?.id}
+                    onSelectHouse={(house) => {
+                        onSelectHouse(house);
+                        if (closeSidebar) closeSidebar();
+                    }}
+                    {...houseListProps}
+                />
+            )}
+
+            {/* Tour Planner Section */}
+            {tourProps && <TourPlanner houses={houses} {...tourProps} />}
+
+            {/* Account Section */}
+            <AccountPanel user={user} />
         </div>
     );
 };
@@ -0,0 +1,36 @@
+import React from "react";
+import { DISPLAY_TAGS } from "../utils/tagUtils";
+
+const TagFilters = ({ activeTags, onToggleTag, onClearTags }) => {
+    return (
+        <div className="flex flex-col space-y-2">
+            <div className="flex items-center justify-between">
+                <h2 className="text-2xl font-semibold">🏷️ Filter Displays</h2>
+                {activeTags.length > 0 && (
+                    <button onClick={onClearTags} className="text-sm underline">
+                        Clear
+                    </button>
+                )}
+            </div>
+            <div className="flex flex-wrap gap-2">
+                {DISPLAY_TAGS.map((tag) => {
+                    const isActive = activeTags.includes(tag.id);
+                    return (
+                        <button
+                            key={tag.id}
+                            onClick={() => onToggleTag(tag.id)}
+                            aria-pressed={isActive}
+                            className={`px-3 py-1 rounded-full border border-gold text-sm transition ${
+                                isActive ? "bg-gold text-christmasGreen" : "text-gold hover:bg-gold hover:text-christmasGreen"
+                            }`}
+                        >
+                            {tag.emoji} {tag.label}
+                        </button>
+                    );
+                })}
+            </div>
+        </div>
+    );
+};
+
+export default TagFilters;
@@ -0,0 +1,117 @@
+import React from "react";
+import {
+    MAX_DIRECTIONS_WAYPOINTS,
+    buildDirectionsUrl,
+    buildGpx,
+    downloadFile,
+    formatMiles,
+} from "../utils/tourUtils";
+
+const TourPlanner = ({ houses, tourStopIds, onToggleStop, tourStart, onSetTourStart, tour, onClearTour }) => {
+    const handleUseMyLocation = () => {
+        if (!navigator.geolocation) {
+            alert("Geolocation is not supported by your browser.");
+            return;
+        }
+
+        navigator.geolocation.getCurrentPosition(
+            (position) => {
+                onSetTourStart({
+                    lat: position.coords.latitude,
+                    lng: position.coords.longitude,
+                });
+            },
+            (error) => {
+                console.error("Geolocation error:", error);
+                alert("Unable to determine your location.");
+            }
+        );
+    };
+
+    const handleExportDirections = () => {
+        window.open(buildDirectionsUrl(tour), "_blank", "noopener");
+    };
+
+    const handleExportGpx = () => {
+        downloadFile(buildGpx(tour), "truckee-lights-tour.gpx", "application/gpx+xml");
+    };
+
+    const tooManyWaypoints = tour && tour.path.length - 2 > MAX_DIRECTIONS_WAYPOINTS;
+
+    return (
+        <div className="flex flex-col space-y-4">
+            <h2 className="text-2xl font-semibold">🚗 Plan a Tour</h2>
+
+            {houses.length === 0 ? (
+                <p className="text-sm text-gray-200">No houses on the map yet.</p>
+            ) : (
+                <ul className="max-h-48 overflow-y-auto space-y-1">
+                    {houses.map((house) => (
+                        <li key={house.id}>
+                            <label className="flex items-center space-x-2 cursor-pointer">
+                                <input
+                                    type="checkbox"
+                                    checked={tourStopIds.includes(house.id)}
+                                    onChange={() => onToggleStop(house.id)}
+                                    className="accent-gold"
+                                />
+                                <span className="truncate">{house.address}</span>
+                            </label>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            <div className="flex items-center justify-between text-sm">
+                <span>{tourStart ? "📍 Starting from your location" : "📍 Starting from the first house picked"}</span>
+                {tourStart ? (
+                    <button onClick={() => onSetTourStart(null)} className="underline">
+                        Reset
+                    </button>
+                ) : (
+                    <button onClick={handleUseMyLocation} className="underline">
+                        Use my location
+                    </button>
+                )}
+            </div>
+
+            {tour && (
+                <>
+                    <p className="text-lg">
+                        {tour.stops.length} {tour.stops.length === 1 ? "stop" : "stops"} · {formatMiles(tour.distanceMeters)}
+                    </p>
+                    <ol className="list-decimal list-inside text-sm space-y-1">
+                        {tour.stops.map((house) => (
+                            <li key={house.id} className="truncate">{house.address}</li>
+                        ))}
+                    </ol>
+                    <div className="flex space-x-2">
+                        <button
+                            onClick={handleExportDirections}
+                            disabled={tooManyWaypoints}
+                            className="flex-1 p-2 bg-gold text-christmasGreen font-semibold rounded hover:bg-snowWhite transition disabled:opacity-50"
+                        >
+                            🗺️ Directions
+                        </button>
+                        <button
+                            onClick={handleExportGpx}
+                            className="flex-1 p-2 bg-gold text-christmasGreen font-semibold rounded hover:bg-snowWhite transition"
+                        >
+                            📥 GPX
+                        </button>
+                    </div>
+                    {tooManyWaypoints && (
+                        <p className="text-sm text-gray-200">
+                            Google Maps directions support up to {MAX_DIRECTIONS_WAYPOINTS + 2} points. Use the GPX file for longer tours.
+                        </p>
+                    )}
+                    <button onClick={onClearTour} className="text-sm underline self-start">
+                        Clear tour
+                    </button>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default TourPlanner;
@@ -0,0 +1,80 @@
+import React from "react";
+import { UPLOAD_STATUS } from "../utils/photoUtils";
+
+const STATUS_LABELS = {
+    [UPLOAD_STATUS.PREPARING]: "Preparing...",
+    [UPLOAD_STATUS.UPLOADING]: "Uploading",
+    [UPLOAD_STATUS.DONE]: "✅ Uploaded",
+    [UPLOAD_STATUS.FAILED]: "❌ Failed",
+    [UPLOAD_STATUS.CANCELED]: "Canceled",
+};
+
+const isActive = (upload) =>
+    upload.status === UPLOAD_STATUS.PREPARING || upload.status === UPLOAD_STATUS.UPLOADING;
+
+const UploadManager = ({ uploads, onCancel, onRetry, onDismiss }) => {
+    if (uploads.length === 0) return null;
+
+    const activeCount = uploads.filter(isActive).length;
+    const succeeded = uploads.filter((upload) => upload.status === UPLOAD_STATUS.DONE);
+    const failedCount = uploads.filter((upload) => upload.status === UPLOAD_STATUS.FAILED).length;
+
+    return (
+        <div className="fixed bottom-4 left-4 z-[60] w-80 max-w-[calc(100%-2rem)] p-4 rounded-lg shadow-lg bg-snowWhite text-christmasGreen">
+            <div className="flex items-center justify-between mb-2">
+                <h2 className="text-lg font-bold">
+                    📷 {activeCount > 0 ? `Uploading ${activeCount} ${activeCount === 1 ? "photo" : "photos"}` : "Uploads"}
+                </h2>
+                {activeCount === 0 && (
+                    <button onClick={onDismiss} className="text-xl hover:text-christmasRed" aria-label="Dismiss uploads">
+                        ✕
+                    </button>
+                )}
+            </div>
+
+            <ul className="max-h-60 overflow-y-auto space-y-3">
+                {uploads.map((upload) => (
+                    <li key={upload.id} className="text-sm">
+                        <div className="flex items-center justify-between space-x-2">
+                            <span className="truncate" title={upload.fileName}>{upload.fileName}</span>
+                            {isActive(upload) ? (
+                                <button onClick={() => onCancel(upload.id)} className="underline flex-shrink-0">
+                                    Cancel
+                                </button>
+                            ) : (upload.status === UPLOAD_STATUS.FAILED || upload.status === UPLOAD_STATUS.CANCELED) && (
+                                <button onClick={() => onRetry(upload.id)} className="underline flex-shrink-0">
+                                    Retry
+                                </button>
+                            )}
+                        </div>
+
+                        {/* Progress Bar */}
+                        <div className="h-2 mt-1 rounded bg-silver overflow-hidden">
+                            <div
+                                className={`h-full transition-all duration-200 ${upload.status === UPLOAD_STATUS.FAILED ? "bg-christmasRed" : "bg-christmasGreen"}`}
+                                style={{ width: `${Math.round(upload.progress * 100)}%` }}
+                            />
+                        </div>
+
+                        <p className="text-xs mt-1">
+                            {STATUS_LABELS[upload.status]}
+                            {upload.status === UPLOAD_STATUS.UPLOADING && ` ${Math.round(upload.progress * 100)}%`}
+                            {upload.status === UPLOAD_STATUS.FAILED && upload.error && ` — ${upload.error}`}
+                        </p>
+                    </li>
+                ))}
+            </ul>
+
+            {/* Summary once every upload has finished */}
+            {activeCount === 0 && (
+                <p className="text-sm mt-3 pt-3 border-t border-silver">
+                    {succeeded.length} of {uploads.length} uploaded
+                    {failedCount > 0 && `, ${failedCount} failed`}.
+                    {succeeded.length > 0 && " Photos appear on the map once they have been reviewed."}
+                </p>
+            )}
+        </div>
+    );
+};
+
+export default UploadManager;
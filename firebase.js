@@ -1,8 +1,14 @@
 // Firebase config and initialization
 import { initializeApp } from "firebase/app";
-import { getFirestore } from "firebase/firestore";
+import {
+    getFirestore,
+    initializeFirestore,
+    persistentLocalCache,
+    persistentMultipleTabManager,
+} from "firebase/firestore";
 import { getAnalytics } from "firebase/analytics";
 import { getStorage } from "firebase/storage";
+import { getAuth, connectAuthEmulator } from "firebase/auth";
 
 // Firebase Configuration from Environment Variables
 const firebaseConfig = {
@@ -16,8 +22,19 @@ const firebaseConfig = {
 };
 
 const app = initializeApp(firebaseConfig);
-const db = getFirestore(app);
+// Cache Firestore data and pending writes in IndexedDB on the client so the map works offline
+const db = typeof window !== 'undefined'
+  ? initializeFirestore(app, { localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }) })
+  : getFirestore(app);
 const storage = getStorage(app);
+// Auth checks the API key as soon as it starts, so it only starts on the client where sign-in happens.
+// Prerendering during `next build` then works without Firebase configuration.
+const auth = typeof window !== 'undefined' ? getAuth(app) : null;
+
+// Use the local Auth emulator when configured, e.g. http://127.0.0.1:9099
+if (auth && process.env.NEXT_PUBLIC_FIREBASE_AUTH_EMULATOR_HOST) {
+  connectAuthEmulator(auth, process.env.NEXT_PUBLIC_FIREBASE_AUTH_EMULATOR_HOST, { disableWarnings: true });
+}
 
 // Initialize Analytics only on the client
 let analytics = null;
@@ -29,4 +46,4 @@ if (typeof window !== 'undefined') {
   }
 }
 
-export { db, storage, analytics };
\ No newline at end of file
+export { db, storage, auth, analytics };
\ No newline at end of file
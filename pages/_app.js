@@ -1,6 +1,15 @@
 // Global styles and app config
+import { useEffect } from "react";
+import "leaflet/dist/leaflet.css"; // Used when NEXT_PUBLIC_MAP_PROVIDER is "leaflet"
+import "leaflet.markercluster/dist/MarkerCluster.css";
 import "../styles/globals.css";
+import { registerServiceWorker } from "../utils/offlineUtils";
 
 export default function MyApp({ Component, pageProps }) {
+    // Install the service worker that makes the app work offline
+    useEffect(() => {
+        registerServiceWorker();
+    }, []);
+
     return <Component {...pageProps} />;
 }
\ No newline at end of file
@@ -4,6 +4,12 @@ export default function Document() {
   return (
     <Html>
       <Head>
+        {/* Installable app metadata */}
+        <link rel="manifest" href="/manifest.json" />
+        <link rel="icon" href="/icons/icon.svg" type="image/svg+xml" />
+        <link rel="apple-touch-icon" href="/icons/icon.svg" />
+        <meta name="theme-color" content="#27ae60" />
+
         {/* Import festive font */}
         <link
           href="https://fonts.googleapis.com/css2?family=Mountains+of+Christmas:wght@400;700&display=swap"
@@ -0,0 +1,202 @@
+import { useState } from "react";
+import AdminLayout from "../../components/AdminLayout";
+import { buildCsv, buildGeoJson, buildKml, fetchExportHouses } from "../../utils/exportUtils";
+import { IMPORT_STATUS, dryRunImport, importHouses, parseHouseCsv } from "../../utils/importUtils";
+import { downloadFile } from "../../utils/tourUtils";
+
+// Export formats offered, with how to build and name each file
+const EXPORT_FORMATS = [
+    { id: "geojson", label: "GeoJSON", build: buildGeoJson, fileName: "truckee-lights.geojson", mimeType: "application/geo+json" },
+    { id: "kml", label: "KML", build: buildKml, fileName: "truckee-lights.kml", mimeType: "application/vnd.google-earth.kml+xml" },
+    { id: "csv", label: "CSV", build: buildCsv, fileName: "truckee-lights.csv", mimeType: "text/csv" },
+];
+
+const STATUS_STYLES = {
+    [IMPORT_STATUS.NEW]: "text-christmasGreen",
+    [IMPORT_STATUS.DUPLICATE]: "text-gray-500",
+    [IMPORT_STATUS.ERROR]: "text-christmasRed",
+    [IMPORT_STATUS.IMPORTED]: "text-christmasGreen font-semibold",
+};
+
+// Rendered inside AdminLayout, so it only loads once admin access is confirmed
+const DataTools = () => {
+    const [exportingFormat, setExportingFormat] = useState(null);
+    const [rows, setRows] = useState([]); // Rows parsed from the picked CSV, shown as a preview
+    const [results, setResults] = useState(null); // Dry-run (and later import) outcome per row
+    const [progress, setProgress] = useState(null); // { label, done, total } while working
+    const [hasImported, setHasImported] = useState(false);
+
+    const handleExport = async (format) => {
+        setExportingFormat(format.id);
+
+        try {
+            const houses = await fetchExportHouses();
+            downloadFile(format.build(houses), format.fileName, format.mimeType);
+        } catch (error) {
+            console.error("Error exporting houses:", error);
+            alert("An error occurred while exporting the houses.");
+        } finally {
+            setExportingFormat(null);
+        }
+    };
+
+    const handleFileChange = async (e) => {
+        const file = e.target.files[0];
+        setResults(null);
+        setHasImported(false);
+        if (!file) {
+            setRows([]);
+            return;
+        }
+
+        try {
+            setRows(parseHouseCsv(await file.text()));
+        } catch (error) {
+            console.error("Error reading CSV:", error);
+            alert(error.message);
+            setRows([]);
+        }
+    };
+
+    const handleDryRun = async () => {
+        setProgress({ label: "Checking", done: 0, total: rows.length });
+        try {
+            setResults(await dryRunImport(rows, (done) => setProgress((prev) => ({ ...prev, done }))));
+        } finally {
+            setProgress(null);
+        }
+    };
+
+    const handleImport = async () => {
+        const newCount = results.filter((r) => r.status === IMPORT_STATUS.NEW).length;
+        if (!window.confirm(`Add ${newCount} ${newCount === 1 ? "house" : "houses"} to the map?`)) return;
+
+        setProgress({ label: "Importing", done: 0, total: results.length });
+        try {
+            setResults(await importHouses(results, () => setProgress((prev) => ({ ...prev, done: prev.done + 1 }))));
+            setHasImported(true);
+        } finally {
+            setProgress(null);
+        }
+    };
+
+    // Number of rows per status, for the report summary
+    const counts = (results || []).reduce((totals, r) => ({ ...totals, [r.status]: (totals[r.status] || 0) + 1 }), {});
+
+    return (
+        <div className="flex flex-col space-y-8">
+            {/* Export Section */}
+            <section className="flex flex-col space-y-2">
+                <h3 className="text-xl font-semibold">📤 Export</h3>
+                <p className="text-sm">
+                    Every house on the map with its address, coordinates, date added and photo count. Hidden houses are left out.
+                </p>
+                <div className="flex space-x-2">
+                    {EXPORT_FORMATS.map((format) => (
+                        <button
+                            key={format.id}
+                            onClick={() => handleExport(format)}
+                            disabled={exportingFormat !== null}
+                            className="px-4 py-2 bg-gold text-christmasGreen font-semibold rounded hover:bg-snowWhite transition disabled:opacity-50"
+                        >
+                            {exportingFormat === format.id ? "Exporting..." : format.label}
+                        </button>
+                    ))}
+                </div>
+            </section>
+
+            {/* Import Section */}
+            <section className="flex flex-col space-y-3">
+                <h3 className="text-xl font-semibold">📥 Import from CSV</h3>
+                <p className="text-sm">
+                    The file needs an <code>address</code> column. Optional <code>lat</code> and <code>lng</code> columns skip geocoding,
+                    and a <code>tags</code> column takes tags separated by semicolons. Nothing is written until you run a dry run and confirm.
+                </p>
+                <input
+                    type="file"
+                    accept=".csv,text/csv"
+                    onChange={handleFileChange}
+                    disabled={progress !== null}
+                    className="text-sm"
+                />
+
+                {rows.length > 0 && (
+                    <>
+                        <div className="flex items-center space-x-4">
+                            <button
+                                onClick={handleDryRun}
+                                disabled={progress !== null || hasImported}
+                                className="px-4 py-2 bg-gold text-christmasGreen font-semibold rounded hover:bg-snowWhite transition disabled:opacity-50"
+                            >
+                                🔍 Dry run
+                            </button>
+                            {results && !hasImported && (
+                                <button
+                                    onClick={handleImport}
+                                    disabled={progress !== null || !counts[IMPORT_STATUS.NEW]}
+                                    className="px-4 py-2 bg-christmasRed text-snowWhite font-semibold rounded hover:bg-gold transition disabled:opacity-50"
+                                >
+                                    Import {counts[IMPORT_STATUS.NEW] || 0} new
+                                </button>
+                            )}
+                            {progress && (
+                                <span className="text-sm">
+                                    {progress.label} {progress.done} of {progress.total}...
+                                </span>
+                            )}
+                        </div>
+
+                        {results && (
+                            <p className="text-sm">
+                                {hasImported
+                                    ? `${counts[IMPORT_STATUS.IMPORTED] || 0} imported`
+                                    : `${counts[IMPORT_STATUS.NEW] || 0} new`}
+                                {" · "}{counts[IMPORT_STATUS.DUPLICATE] || 0} duplicates
+                                {" · "}{counts[IMPORT_STATUS.ERROR] || 0} errors
+                            </p>
+                        )}
+
+                        <div className="overflow-x-auto rounded-lg bg-snowWhite text-christmasGreen">
+                            <table className="w-full text-sm text-left">
+                                <thead>
+                                    <tr className="border-b border-christmasGreen">
+                                        <th className="p-2">Line</th>
+                                        <th className="p-2">Address</th>
+                                        <th className="p-2">Coordinates</th>
+                                        <th className="p-2">Tags</th>
+                                        {results && <th className="p-2">Result</th>}
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {(results || rows).map((row) => (
+                                        <tr key={row.line} className="border-b border-gray-200 last:border-0">
+                                            <td className="p-2">{row.line}</td>
+                                            <td className="p-2">{row.address || "—"}</td>
+                                            <td className="p-2 whitespace-nowrap">
+                                                {row.location
+                                                    ? `${row.location.lat.toFixed(5)}, ${row.location.lng.toFixed(5)}`
+                                                    : "Geocode"}
+                                            </td>
+                                            <td className="p-2">{row.tags.join(", ")}</td>
+                                            {results && (
+                                                <td className={`p-2 ${STATUS_STYLES[row.status]}`}>{row.message}</td>
+                                            )}
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    </>
+                )}
+            </section>
+        </div>
+    );
+};
+
+export default function DataAdmin() {
+    return (
+        <AdminLayout title="Import & Export">
+            <DataTools />
+        </AdminLayout>
+    );
+}
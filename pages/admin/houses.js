@@ -0,0 +1,248 @@
+import { useEffect, useMemo, useState } from "react";
+import AdminLayout from "../../components/AdminLayout";
+import { normalizeAddress } from "../../utils/addressUtils";
+import { deleteHouse, fetchAllHouses, mergeHouses, updateHouseDetails } from "../../utils/houseAdminUtils";
+
+// Rendered inside AdminLayout, so it only loads once admin access is confirmed
+const HouseList = () => {
+    const [houses, setHouses] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [search, setSearch] = useState("");
+    const [busyHouseId, setBusyHouseId] = useState(null);
+    const [editing, setEditing] = useState(null); // { id, address, lat, lng } of the house being edited
+    const [mergeSource, setMergeSource] = useState(null); // Duplicate house waiting to be merged into another
+
+    /**
+     * Fetches every house on component mount.
+     */
+    useEffect(() => {
+        const loadHouses = async () => {
+            try {
+                setHouses(await fetchAllHouses());
+            } catch (error) {
+                console.error("Error fetching houses:", error);
+                alert("An error occurred while loading the houses.");
+            } finally {
+                setIsLoading(false);
+            }
+        };
+
+        loadHouses();
+    }, []);
+
+    // Houses whose address or ID contains the search text
+    const filteredHouses = useMemo(() => {
+        const term = normalizeAddress(search);
+        if (!term) return houses;
+        return houses.filter(
+            (house) => (house.normalizedAddress || normalizeAddress(house.address)).includes(term) || house.id.includes(search.trim())
+        );
+    }, [houses, search]);
+
+    /**
+     * Runs an admin action on a house, showing it as busy meanwhile.
+     * @param {string} houseId - The ID of the house being changed.
+     * @param {Function} action - The async work to run.
+     * @param {string} errorMessage - Shown if the action fails.
+     */
+    const runAction = async (houseId, action, errorMessage) => {
+        setBusyHouseId(houseId);
+
+        try {
+            await action();
+        } catch (error) {
+            console.error(errorMessage, error);
+            alert(errorMessage);
+        } finally {
+            setBusyHouseId(null);
+        }
+    };
+
+    const handleSaveEdit = (e) => {
+        e.preventDefault();
+
+        const location = { lat: parseFloat(editing.lat), lng: parseFloat(editing.lng) };
+        if (!editing.address.trim() || Number.isNaN(location.lat) || Number.isNaN(location.lng)) {
+            alert("Please enter an address and a valid latitude and longitude.");
+            return;
+        }
+
+        runAction(editing.id, async () => {
+            const changes = await updateHouseDetails(editing.id, { address: editing.address.trim(), location });
+            setHouses((prevHouses) => prevHouses.map((h) => (h.id === editing.id ? { ...h, ...changes } : h)));
+            setEditing(null);
+        }, "An error occurred while saving the house.");
+    };
+
+    const handleDelete = (house) => {
+        if (!window.confirm(`Delete ${house.address} and all of its photos? This cannot be undone.`)) return;
+
+        runAction(house.id, async () => {
+            await deleteHouse(house.id);
+            setHouses((prevHouses) => prevHouses.filter((h) => h.id !== house.id));
+        }, "An error occurred while deleting the house.");
+    };
+
+    const handleMergeInto = (keptHouse) => {
+        const duplicateHouse = mergeSource;
+        if (
+            !window.confirm(
+                `Merge ${duplicateHouse.address} into ${keptHouse.address}?\n\nIts photos, ratings and tags move to the kept house and the duplicate is deleted.`
+            )
+        ) {
+            return;
+        }
+
+        runAction(keptHouse.id, async () => {
+            const { movedCount, changes } = await mergeHouses(keptHouse, duplicateHouse);
+            setHouses((prevHouses) =>
+                prevHouses
+                    .filter((h) => h.id !== duplicateHouse.id)
+                    .map((h) => (h.id === keptHouse.id ? { ...h, ...changes } : h))
+            );
+            setMergeSource(null);
+            alert(`Merged. ${movedCount} ${movedCount === 1 ? "photo was" : "photos were"} moved.`);
+        }, "An error occurred while merging the houses.");
+    };
+
+    if (isLoading) {
+        return <p>Loading houses...</p>;
+    }
+
+    return (
+        <div className="flex flex-col space-y-4">
+            <input
+                type="search"
+                placeholder="Search by address or ID"
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+                className="p-3 rounded bg-snowWhite text-christmasGreen placeholder-christmasGreen focus:outline-none focus:ring-2 focus:ring-gold md:w-1/2"
+            />
+
+            {mergeSource && (
+                <div className="flex items-center justify-between p-3 rounded bg-gold text-christmasGreen">
+                    <span>
+                        Merging <strong>{mergeSource.address}</strong>. Pick the house to keep.
+                    </span>
+                    <button onClick={() => setMergeSource(null)} className="underline">
+                        Cancel
+                    </button>
+                </div>
+            )}
+
+            <p className="text-sm">
+                {filteredHouses.length} of {houses.length} houses
+            </p>
+
+            <ul className="flex flex-col space-y-2">
+                {filteredHouses.map((house) => (
+                    <li key={house.id} className="p-4 rounded-lg bg-snowWhite text-christmasGreen">
+                        {editing?.id === house.id ? (
+                            <form onSubmit={handleSaveEdit} className="flex flex-col md:flex-row md:items-center gap-2">
+                                <input
+                                    type="text"
+                                    value={editing.address}
+                                    onChange={(e) => setEditing({ ...editing, address: e.target.value })}
+                                    className="flex-1 p-2 rounded border border-christmasGreen"
+                                    aria-label="Address"
+                                />
+                                <input
+                                    type="number"
+                                    step="any"
+                                    value={editing.lat}
+                                    onChange={(e) => setEditing({ ...editing, lat: e.target.value })}
+                                    className="md:w-36 p-2 rounded border border-christmasGreen"
+                                    aria-label="Latitude"
+                                />
+                                <input
+                                    type="number"
+                                    step="any"
+                                    value={editing.lng}
+                                    onChange={(e) => setEditing({ ...editing, lng: e.target.value })}
+                                    className="md:w-36 p-2 rounded border border-christmasGreen"
+                                    aria-label="Longitude"
+                                />
+                                <button
+                                    type="submit"
+                                    disabled={busyHouseId === house.id}
+                                    className="px-4 py-2 bg-christmasGreen text-snowWhite rounded hover:bg-gold transition disabled:opacity-50"
+                                >
+                                    Save
+                                </button>
+                                <button type="button" onClick={() => setEditing(null)} className="px-4 py-2 underline">
+                                    Cancel
+                                </button>
+                            </form>
+                        ) : (
+                            <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-2">
+                                <div className="min-w-0">
+                                    <a href={`/?house=${house.id}`} target="_blank" rel="noopener noreferrer" className="font-semibold underline">
+                                        {house.address}
+                                    </a>
+                                    {house.hidden && (
+                                        <span className="ml-2 px-2 py-0.5 rounded-full bg-christmasRed text-snowWhite text-xs">Hidden</span>
+                                    )}
+                                    <p className="text-xs">
+                                        {house.location?.lat.toFixed(6)}, {house.location?.lng.toFixed(6)} · {house.id}
+                                    </p>
+                                </div>
+                                <div className="flex space-x-2 flex-shrink-0">
+                                    {mergeSource ? (
+                                        mergeSource.id !== house.id && (
+                                            <button
+                                                onClick={() => handleMergeInto(house)}
+                                                disabled={busyHouseId !== null}
+                                                className="px-3 py-1 bg-gold rounded hover:bg-christmasGreen hover:text-snowWhite transition disabled:opacity-50"
+                                            >
+                                                Keep this one
+                                            </button>
+                                        )
+                                    ) : (
+                                        <>
+                                            <button
+                                                onClick={() =>
+                                                    setEditing({
+                                                        id: house.id,
+                                                        address: house.address || "",
+                                                        lat: house.location?.lat ?? "",
+                                                        lng: house.location?.lng ?? "",
+                                                    })
+                                                }
+                                                disabled={busyHouseId === house.id}
+                                                className="px-3 py-1 bg-christmasGreen text-snowWhite rounded hover:bg-gold transition disabled:opacity-50"
+                                            >
+                                                Edit
+                                            </button>
+                                            <button
+                                                onClick={() => setMergeSource(house)}
+                                                disabled={busyHouseId === house.id}
+                                                className="px-3 py-1 border border-christmasGreen rounded hover:bg-gold transition disabled:opacity-50"
+                                            >
+                                                Merge…
+                                            </button>
+                                            <button
+                                                onClick={() => handleDelete(house)}
+                                                disabled={busyHouseId === house.id}
+                                                className="px-3 py-1 bg-christmasRed text-snowWhite rounded hover:bg-gold transition disabled:opacity-50"
+                                            >
+                                                Delete
+                                            </button>
+                                        </>
+                                    )}
+                                </div>
+                            </div>
+                        )}
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+};
+
+export default function HouseAdmin() {
+    return (
+        <AdminLayout title="Houses">
+            <HouseList />
+        </AdminLayout>
+    );
+}
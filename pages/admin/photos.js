@@ -0,0 +1,98 @@
+import { useEffect, useState } from "react";
+import AdminLayout from "../../components/AdminLayout";
+import { approvePhoto, fetchPendingPhotos, rejectPhoto } from "../../utils/moderationUtils";
+
+// Rendered inside AdminLayout, so it only loads once admin access is confirmed
+const PendingPhotoQueue = () => {
+    const [photos, setPhotos] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [busyPhotoId, setBusyPhotoId] = useState(null);
+
+    /**
+     * Fetches the photos waiting for review on component mount.
+     */
+    useEffect(() => {
+        const loadPhotos = async () => {
+            try {
+                setPhotos(await fetchPendingPhotos());
+            } catch (error) {
+                console.error("Error fetching pending photos:", error);
+                alert("An error occurred while loading the photos waiting for review.");
+            } finally {
+                setIsLoading(false);
+            }
+        };
+
+        loadPhotos();
+    }, []);
+
+    /**
+     * Runs a review action on a photo and removes it from the queue.
+     * @param {Object} photo - The photo being reviewed.
+     * @param {Function} action - Either approvePhoto or rejectPhoto.
+     */
+    const reviewPhoto = async (photo, action) => {
+        setBusyPhotoId(photo.id);
+
+        try {
+            await action(photo);
+            setPhotos((prevPhotos) => prevPhotos.filter((p) => p.id !== photo.id));
+        } catch (error) {
+            console.error("Error reviewing photo:", error);
+            alert("An error occurred while reviewing the photo.");
+        } finally {
+            setBusyPhotoId(null);
+        }
+    };
+
+    return (
+        <>
+            {isLoading ? (
+                <p>Loading photos...</p>
+            ) : photos.length === 0 ? (
+                <p>🎉 No photos waiting for review.</p>
+            ) : (
+                <ul className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-6 gap-4">
+                    {photos.map((photo) => (
+                        <li key={photo.id} className="flex flex-col bg-snowWhite text-christmasGreen rounded-lg p-2">
+                            <a href={photo.downloadURL} target="_blank" rel="noopener noreferrer">
+                                <img
+                                    src={photo.thumbnailURL || photo.downloadURL}
+                                    alt={photo.fileName}
+                                    className="w-full h-32 object-cover rounded"
+                                />
+                            </a>
+                            <p className="text-xs truncate my-2" title={photo.storagePath}>
+                                {photo.fileName}
+                            </p>
+                            <div className="flex space-x-2">
+                                <button
+                                    onClick={() => reviewPhoto(photo, approvePhoto)}
+                                    disabled={busyPhotoId === photo.id}
+                                    className="flex-1 py-1 bg-christmasGreen text-snowWhite rounded hover:bg-gold transition disabled:opacity-50"
+                                >
+                                    Approve
+                                </button>
+                                <button
+                                    onClick={() => reviewPhoto(photo, rejectPhoto)}
+                                    disabled={busyPhotoId === photo.id}
+                                    className="flex-1 py-1 bg-christmasRed text-snowWhite rounded hover:bg-gold transition disabled:opacity-50"
+                                >
+                                    Reject
+                                </button>
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </>
+    );
+};
+
+export default function PhotoModeration() {
+    return (
+        <AdminLayout title="Pending Photos">
+            <PendingPhotoQueue />
+        </AdminLayout>
+    );
+}
@@ -0,0 +1,109 @@
+import { useEffect, useState } from "react";
+import AdminLayout from "../../components/AdminLayout";
+import {
+    REPORT_RESOLUTION,
+    fetchOpenReports,
+    getReportReasonLabel,
+    resolveReport,
+} from "../../utils/reportUtils";
+
+// Rendered inside AdminLayout, so it only loads once admin access is confirmed
+const OpenReportList = () => {
+    const [reports, setReports] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [busyReportId, setBusyReportId] = useState(null);
+
+    /**
+     * Fetches the reports waiting for review on component mount.
+     */
+    useEffect(() => {
+        const loadReports = async () => {
+            setReports(await fetchOpenReports());
+            setIsLoading(false);
+        };
+
+        loadReports();
+    }, []);
+
+    /**
+     * Resolves a report and removes it, and any other reports it settled, from the list.
+     * @param {Object} report - The report being reviewed.
+     * @param {string} resolution - One of REPORT_RESOLUTION.
+     */
+    const reviewReport = async (report, resolution) => {
+        if (
+            resolution === REPORT_RESOLUTION.DELETED &&
+            !window.confirm(`Delete ${report.houseAddress || "this house"} from the map? This cannot be undone.`)
+        ) {
+            return;
+        }
+
+        setBusyReportId(report.id);
+
+        try {
+            const resolvedIds = await resolveReport(report, resolution, reports);
+            setReports((prevReports) => prevReports.filter((r) => !resolvedIds.includes(r.id)));
+        } catch (error) {
+            console.error("Error resolving report:", error);
+            alert("An error occurred while resolving the report.");
+        } finally {
+            setBusyReportId(null);
+        }
+    };
+
+    return (
+        <>
+            {isLoading ? (
+                <p>Loading reports...</p>
+            ) : reports.length === 0 ? (
+                <p>🎉 No reports waiting for review.</p>
+            ) : (
+                <ul className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+                    {reports.map((report) => (
+                        <li key={report.id} className="flex flex-col bg-snowWhite text-christmasGreen rounded-lg p-4 space-y-2">
+                            <a href={`/?house=${report.houseId}`} target="_blank" rel="noopener noreferrer" className="font-semibold underline truncate">
+                                {report.houseAddress || report.houseId}
+                            </a>
+                            <p className="text-christmasRed font-semibold">🚩 {getReportReasonLabel(report.reason)}</p>
+                            {report.comment && <p className="text-sm whitespace-pre-line">{report.comment}</p>}
+                            <p className="text-xs">
+                                Reported {report.reportedAt ? report.reportedAt.toDate().toLocaleString() : "just now"}
+                            </p>
+                            <div className="flex space-x-2">
+                                <button
+                                    onClick={() => reviewReport(report, REPORT_RESOLUTION.HIDDEN)}
+                                    disabled={busyReportId === report.id}
+                                    className="flex-1 py-1 bg-christmasGreen text-snowWhite rounded hover:bg-gold transition disabled:opacity-50"
+                                >
+                                    Hide house
+                                </button>
+                                <button
+                                    onClick={() => reviewReport(report, REPORT_RESOLUTION.DELETED)}
+                                    disabled={busyReportId === report.id}
+                                    className="flex-1 py-1 bg-christmasRed text-snowWhite rounded hover:bg-gold transition disabled:opacity-50"
+                                >
+                                    Delete house
+                                </button>
+                                <button
+                                    onClick={() => reviewReport(report, REPORT_RESOLUTION.IGNORED)}
+                                    disabled={busyReportId === report.id}
+                                    className="flex-1 py-1 border border-christmasGreen rounded hover:bg-gold transition disabled:opacity-50"
+                                >
+                                    Ignore
+                                </button>
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </>
+    );
+};
+
+export default function ReportReview() {
+    return (
+        <AdminLayout title="Open Reports">
+            <OpenReportList />
+        </AdminLayout>
+    );
+}
@@ -1,10 +1,28 @@
-import { useEffect, useState } from "react";
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import dynamic from 'next/dynamic';
-import { collection, addDoc, getDocs, query, orderBy, where, serverTimestamp } from "firebase/firestore";
+import { doc, getDoc } from "firebase/firestore";
 import { db } from "../firebase";
 import Sidebar from "../components/Sidebar";
 import Navbar from "../components/Navbar";
 import FloatingActionButton from "../components/FloatingActionButton";
+import PhotoLightbox from "../components/PhotoLightbox";
+import UploadManager from "../components/UploadManager";
+import OfflineIndicator from "../components/OfflineIndicator";
+import { planTour } from "../utils/tourUtils";
+import { subscribeToHousesInRadius } from "../utils/geoUtils";
+import { houseFromSnapshot } from "../utils/schemaUtils";
+import { createHouse, findDuplicateHouse } from "../utils/houseUtils";
+import { normalizeAddress } from "../utils/addressUtils";
+import { UPLOAD_STATUS, isUploadCanceled, uploadHousePhoto } from "../utils/photoUtils";
+import { completeEmailSignIn, ensureSignedIn, subscribeToAuth } from "../utils/authUtils";
+import { loadLastKnownHouses, saveLastKnownHouses } from "../utils/offlineUtils";
+import { QUEUED_ACTION, countQueuedActions, enqueueAction, replayQueuedActions } from "../utils/offlineQueue";
+import { getLinkedHouseId } from "../utils/shareUtils";
+import { matchesTagFilters } from "../utils/tagUtils";
+import { isOpenNow } from "../utils/scheduleUtils";
+import { describeGeolocationError, watchUserPosition } from "../utils/locationUtils";
+import { getHouseSeasons, getSeasonForDate, isShownInSeason } from "../utils/seasonUtils";
+import { toMillis } from "../utils/dateUtils";
 
 // Dynamically import Map component with SSR disabled
 const DynamicMap = dynamic(() => import('../components/Map'), { ssr: false });
@@ -13,66 +31,265 @@ export default function Home() {
     const [houses, setHouses] = useState([]);
     const [selectedHouse, setSelectedHouse] = useState(null);
     const [isSidebarOpen, setIsSidebarOpen] = useState(false);
+    const [tourStopIds, setTourStopIds] = useState([]);
+    const [tourStart, setTourStart] = useState(null);
+    // Wrapped so an update to the same user object, such as linking a guest account, still re-renders
+    const [{ user }, setAuthState] = useState({ user: null });
+    const [season, setSeason] = useState(() => getSeasonForDate()); // Holiday season shown on the map
+    const [activeTags, setActiveTags] = useState([]); // Display tags every shown house must have
+    const [openNowOnly, setOpenNowOnly] = useState(false); // Show only displays whose schedule says they are on
+    const [now, setNow] = useState(() => new Date()); // Refreshed every minute while the "open now" filter is on
+    const [lightbox, setLightbox] = useState(null); // { house, photos?, nextCursor?, startIndex? }
+    const [uploads, setUploads] = useState([]); // Photo uploads shown in the upload manager
+    const uploadCancelersRef = useRef({}); // Mapping of upload ID to the cancel function of its running upload
+    const [isOnline, setIsOnline] = useState(true);
+    const [pendingCount, setPendingCount] = useState(0); // Submissions queued while offline
+    const queueHandlersRef = useRef(null); // Latest handlers for replaying queued submissions
+    const [droppedActions, setDroppedActions] = useState([]); // Queued submissions given up on after failing repeatedly
+    const cachedHouseGeohashesRef = useRef(new Map()); // Geohash by ID of cached houses not yet confirmed by a listener
+    const subscriptionsRef = useRef([]); // Real-time listeners per geohash range
+    const [viewport, setViewport] = useState(null); // { center, bounds } of the visible map area
+    const [highlightedHouseId, setHighlightedHouseId] = useState(null); // House hovered in the sidebar list
+    const [userPosition, setUserPosition] = useState(null); // { lat, lng, accuracyMeters } while "near me" is on
+    const [isLocating, setIsLocating] = useState(false);
+    const [locationError, setLocationError] = useState(null);
+    const stopWatchingPositionRef = useRef(null);
+
+    // Re-check schedules as the evening goes on. The clock only ticks while the filter is on,
+    // so the house list and markers are not rebuilt every minute for nothing.
+    useEffect(() => {
+        if (!openNowOnly) return;
+
+        setNow(new Date());
+        const timer = setInterval(() => setNow(new Date()), 60 * 1000);
+        return () => clearInterval(timer);
+    }, [openNowOnly]);
+
+    /**
+     * Updates the number of submissions waiting in the offline queue.
+     */
+    const refreshPendingCount = useCallback(async () => {
+        try {
+            setPendingCount(await countQueuedActions());
+        } catch (error) {
+            console.error("Error reading offline queue:", error);
+        }
+    }, []);
 
     /**
-     * Fetches all houses from Firestore on component mount.
+     * Replays queued submissions on mount and whenever the connection returns.
      */
     useEffect(() => {
-        const fetchHouses = async () => {
+        const replayQueue = async () => {
+            const dropped = await replayQueuedActions(queueHandlersRef.current);
+            if (dropped.length > 0) {
+                setDroppedActions((prevDropped) => [...prevDropped, ...dropped]);
+            }
+            refreshPendingCount();
+        };
+
+        const handleOnline = () => {
+            setIsOnline(true);
+            replayQueue();
+        };
+        const handleOffline = () => setIsOnline(false);
+
+        setIsOnline(navigator.onLine);
+        replayQueue();
+
+        window.addEventListener("online", handleOnline);
+        window.addEventListener("offline", handleOffline);
+        return () => {
+            window.removeEventListener("online", handleOnline);
+            window.removeEventListener("offline", handleOffline);
+        };
+    }, [refreshPendingCount]);
+
+    /**
+     * Shows the last-known houses until live data arrives, e.g. when starting offline.
+     * Cached houses are dropped once the listener for their area shows they were deleted or hidden.
+     */
+    useEffect(() => {
+        loadLastKnownHouses().then((cachedHouses) => {
+            setHouses((prevHouses) => {
+                if (prevHouses.length > 0) return prevHouses;
+
+                cachedHouseGeohashesRef.current = new Map(cachedHouses.map((house) => [house.id, house.geohash]));
+                return cachedHouses;
+            });
+        });
+    }, []);
+
+    /**
+     * Signs the visitor in on mount, finishing an email link sign-in if the page was opened from one.
+     */
+    useEffect(() => {
+        const unsubscribe = subscribeToAuth((currentUser) => setAuthState({ user: currentUser }));
+
+        const signIn = async () => {
             try {
-                const q = query(
-                    collection(db, "houses"),
-                    orderBy("createdAt", "desc")
-                );
-                const querySnapshot = await getDocs(q);
-                const housesList = querySnapshot.docs.map((doc) => ({
-                    id: doc.id,
-                    ...doc.data(),
-                }));
+                await completeEmailSignIn();
+            } catch (error) {
+                console.error("Error completing email sign-in:", error);
+                alert("That sign-in link is invalid or has expired. Please request a new one.");
+            }
 
-                // Log the fetched houses for debugging
-                console.log("Fetched houses:", housesList);
+            try {
+                await ensureSignedIn();
+            } catch (error) {
+                console.error("Error signing in:", error);
+            }
+        };
+
+        signIn();
+        return unsubscribe;
+    }, []);
+
+    /**
+     * Opens the house from a shared `?house=<id>` link on load.
+     */
+    useEffect(() => {
+        const houseId = getLinkedHouseId();
+        if (!houseId) return;
+
+        const openLinkedHouse = async () => {
+            try {
+                const houseDoc = await getDoc(doc(db, "houses", houseId));
+                if (!houseDoc.exists() || houseDoc.data().hidden) {
+                    alert("The shared house could not be found. It may have been removed.");
+                    return;
+                }
 
-                setHouses(housesList);
+                const house = houseFromSnapshot(houseDoc);
+                // Add it right away so its marker exists before the viewport listener reports it
+                setHouses((prevHouses) => [house, ...prevHouses.filter((h) => h.id !== house.id)]);
+                handleSelectHouse(house);
             } catch (error) {
-                console.error("Error fetching houses: ", error);
+                console.error("Error loading shared house:", error);
+                alert("An error occurred while opening the shared house.");
             }
         };
 
-        fetchHouses();
+        openLinkedHouse();
     }, []);
 
+    // Stop following the visitor's position on unmount
+    useEffect(() => () => stopWatchingPositionRef.current?.(), []);
+
     /**
-     * Checks if a house with the same normalized address already exists.
-     * @param {string} normalizedAddress - The normalized address to check.
-     * @returns {Promise<boolean>} - Returns true if house exists, else false.
+     * Starts or stops following the visitor's position for "near me" mode.
      */
-    const houseExists = async (normalizedAddress) => {
-        if (!normalizedAddress) {
-            console.error("Normalized address is undefined or null.");
-            return false;
+    const toggleNearMe = () => {
+        if (isLocating) {
+            stopWatchingPositionRef.current?.();
+            stopWatchingPositionRef.current = null;
+            setIsLocating(false);
+            setUserPosition(null);
+            setLocationError(null);
+            return;
         }
 
-        try {
-            const q = query(
-                collection(db, "houses"),
-                where("normalizedAddress", "==", normalizedAddress)
-            );
-            const querySnapshot = await getDocs(q);
-            return !querySnapshot.empty;
-        } catch (error) {
-            console.error("Error checking house existence: ", error);
-            return false;
+        if (!navigator.geolocation) {
+            setLocationError("Geolocation is not supported by your browser.");
+            return;
         }
+
+        setIsLocating(true);
+        setLocationError(null);
+        stopWatchingPositionRef.current = watchUserPosition(
+            (position) => {
+                setUserPosition(position);
+                setLocationError(null);
+            },
+            (error) => {
+                console.error("Geolocation error:", error);
+                setLocationError(describeGeolocationError(error));
+
+                // A denied permission will not change until the visitor changes it, so stop asking
+                if (error.code === error.PERMISSION_DENIED) {
+                    stopWatchingPositionRef.current?.();
+                    stopWatchingPositionRef.current = null;
+                    setIsLocating(false);
+                    setUserPosition(null);
+                }
+            }
+        );
     };
 
+    // Stop all house listeners on unmount
+    useEffect(() => {
+        const subscriptions = subscriptionsRef.current;
+        return () => subscriptions.forEach((subscription) => subscription.unsubscribe());
+    }, []);
+
+    /**
+     * Applies real-time house changes from one geohash range to the houses state.
+     * @param {Array<Object>} changes - The changes as { type, house }.
+     * @param {Array<string>} range - The [start, end] geohash range that reported them.
+     */
+    const applyHouseChanges = useCallback((changes, [start, end]) => {
+        // Cached houses in this range that its listener does not report were deleted or hidden since
+        const cachedHouseGeohashes = cachedHouseGeohashesRef.current;
+        const reportedIds = new Set(changes.map(({ house }) => house.id));
+        const staleIds = [];
+
+        cachedHouseGeohashes.forEach((geohash, id) => {
+            if (reportedIds.has(id)) {
+                cachedHouseGeohashes.delete(id);
+            } else if (geohash >= start && geohash <= end) {
+                cachedHouseGeohashes.delete(id);
+                staleIds.push(id);
+            }
+        });
+
+        setHouses((prevHouses) => {
+            const housesById = new Map(prevHouses.map((house) => [house.id, house]));
+            staleIds.forEach((id) => housesById.delete(id));
+
+            changes.forEach(({ type, house }) => {
+                if (house.hidden) {
+                    // Houses hidden by an admin are left off the map
+                    housesById.delete(house.id);
+                } else if (type === "removed") {
+                    // A house that moved into another range may already be reported there
+                    const current = housesById.get(house.id);
+                    if (current && current.geohash >= start && current.geohash <= end) {
+                        housesById.delete(house.id);
+                    }
+                } else {
+                    housesById.set(house.id, house);
+                }
+            });
+
+            // Keep the newest houses first
+            return [...housesById.values()].sort((a, b) => toMillis(b.createdAt) - toMillis(a.createdAt));
+        });
+    }, []);
+
+    /**
+     * Starts listening to the houses inside the visible map area.
+     * Geohash ranges that already have a listener are not subscribed again.
+     * @param {Object} center - The center of the viewport ({ lat, lng }).
+     * @param {number} radiusMeters - The radius of a circle covering the viewport.
+     * @param {Object} bounds - The viewport as { north, south, east, west }.
+     */
+    const loadHousesInView = useCallback((center, radiusMeters, bounds) => {
+        setViewport({ center, bounds });
+        subscribeToHousesInRadius(center, radiusMeters, subscriptionsRef.current, applyHouseChanges);
+    }, [applyHouseChanges]);
+
     /**
      * Adds a new house to Firestore and updates the state.
      * Prevents adding duplicate houses based on address.
+     * Houses added while offline are queued and added once the connection returns.
      * @param {string} address - The address of the house.
      * @param {Object} location - The latitude and longitude of the house.
+     * @param {Object} [options] - Options for the add.
+     * @param {Array<string>} [options.tags] - The display tags picked for the house.
+     * @param {string|number|null} [options.musicFrequency] - The FM frequency for displays synced to music.
+     * @param {boolean} [options.fromQueue] - True when replaying a queued add; errors are thrown instead of shown.
      */
-    const addMarker = async (address, location) => {
+    const addMarker = async (address, location, { tags = [], musicFrequency = null, fromQueue = false } = {}) => {
         console.log("Attempting to add marker for address:", address);
 
         // Validate inputs
@@ -82,42 +299,50 @@ export default function Home() {
             return;
         }
 
+        // Queue the house while offline; it is added when the connection returns
+        if (!fromQueue && !navigator.onLine) {
+            await enqueueAction(QUEUED_ACTION.ADD_HOUSE, { address, location, tags, musicFrequency });
+            refreshPendingCount();
+            return;
+        }
+
         // Normalize the address for consistent comparison
-        const normalizedAddress = address.trim().toLowerCase();
+        const normalizedAddress = normalizeAddress(address);
 
         try {
-            // Check if the house already exists
-            const exists = await houseExists(normalizedAddress);
-            if (exists) {
-                alert("This house already exists on the map.");
+            // Check if the house already exists, and offer to show it instead of adding a second pin
+            const duplicate = await findDuplicateHouse(normalizedAddress, location);
+            if (duplicate?.hidden) {
+                // Hidden houses were taken off the map on purpose, e.g. at the homeowner's request
+                if (!fromQueue) {
+                    alert("This house was removed from the map and can't be added again.");
+                }
+                return;
+            }
+            if (duplicate && fromQueue) {
+                console.warn("Skipping queued house that is already on the map:", address);
+                return;
+            }
+            if (duplicate) {
+                const showDuplicate = window.confirm(
+                    `Did you mean this house?\n\n${duplicate.address}\n\nIt is already on the map. Press OK to view it.`
+                );
+                if (showDuplicate) {
+                    handleSelectHouse(duplicate);
+                }
                 return;
             }
 
-            // Add to Firestore with hasLights implied as all houses have lights
-            const docRef = await addDoc(collection(db, "houses"), {
-                address: address,
-                normalizedAddress: normalizedAddress, // Store normalized address
-                location: location,
-                hasLights: true, // Since all houses have lights
-                createdAt: serverTimestamp(), // Use serverTimestamp for accurate timing
-                photos: [], // Initialize with empty photos array
-            });
+            const newHouse = await createHouse(address, location, { tags, musicFrequency });
 
-            console.log("Document written with ID: ", docRef.id);
-
-            // Update local houses state using functional update
-            const newHouse = {
-                id: docRef.id,
-                address,
-                normalizedAddress,
-                location,
-                hasLights: true,
-                createdAt: new Date(), // Optionally, fetch the actual timestamp from Firestore
-                photos: [],
-            };
-            setHouses((prevHouses) => [newHouse, ...prevHouses]);
-            setSelectedHouse(newHouse); // Select the new house
+            // Update local houses state; the listener may have already reported the new house
+            setHouses((prevHouses) => [newHouse, ...prevHouses.filter((house) => house.id !== newHouse.id)]);
+            if (!fromQueue) {
+                setSelectedHouse(newHouse); // Select the new house
+            }
         } catch (error) {
+            if (fromQueue) throw error;
+
             console.error("Error adding document: ", error);
             alert("An error occurred while processing the address.");
         }
@@ -125,13 +350,178 @@ export default function Home() {
 
     /**
      * Handles selecting a house (e.g., from search).
-     * Centers the map on the selected house.
+     * Centers the map on the selected house, switching seasons or clearing filters if needed to show it.
      * @param {Object} house - The house object to select.
      */
     const handleSelectHouse = (house) => {
+        // Switch to the house's latest season if the one shown does not include it
+        if (house.id && !isShownInSeason(house, season)) {
+            const [latestSeason] = getHouseSeasons(house);
+            if (latestSeason) setSeason(latestSeason);
+        }
+        // Clear filters that would hide it
+        if (house.id && !matchesTagFilters(house, activeTags)) {
+            setActiveTags([]);
+        }
+        if (house.id && openNowOnly && !isOpenNow(house, now)) {
+            setOpenNowOnly(false);
+        }
         setSelectedHouse(house);
     };
 
+    /**
+     * Turns a display tag filter on or off.
+     * @param {string} tagId - The ID of the tag to toggle.
+     */
+    const toggleTagFilter = (tagId) => {
+        setActiveTags((prevTags) =>
+            prevTags.includes(tagId)
+                ? prevTags.filter((id) => id !== tagId)
+                : [...prevTags, tagId]
+        );
+    };
+
+    /**
+     * Adds a house to the tour, or removes it if it is already included.
+     * @param {string} houseId - The ID of the house to toggle.
+     */
+    const toggleTourStop = (houseId) => {
+        setTourStopIds((prevIds) =>
+            prevIds.includes(houseId)
+                ? prevIds.filter((id) => id !== houseId)
+                : [...prevIds, houseId]
+        );
+    };
+
+    /**
+     * Merges changes into one upload in the upload manager.
+     * @param {string} uploadId - The ID of the upload.
+     * @param {Object} changes - The fields to update.
+     */
+    const updateUpload = (uploadId, changes) => {
+        setUploads((prevUploads) =>
+            prevUploads.map((upload) => (upload.id === uploadId ? { ...upload, ...changes } : upload))
+        );
+    };
+
+    /**
+     * Runs one upload, tracking its progress and outcome.
+     * @param {Object} upload - The upload, with its `id`, `house` and `file`.
+     */
+    const runUpload = async (upload) => {
+        updateUpload(upload.id, { status: UPLOAD_STATUS.PREPARING, progress: 0, error: null });
+
+        const { done, cancel } = uploadHousePhoto(upload.house.id, upload.file, (progress) => {
+            updateUpload(upload.id, { status: UPLOAD_STATUS.UPLOADING, progress });
+        });
+        uploadCancelersRef.current[upload.id] = cancel;
+
+        try {
+            await done;
+            updateUpload(upload.id, { status: UPLOAD_STATUS.DONE, progress: 1 });
+        } catch (error) {
+            if (isUploadCanceled(error)) {
+                updateUpload(upload.id, { status: UPLOAD_STATUS.CANCELED });
+            } else {
+                console.error("Error uploading photo:", error);
+                updateUpload(upload.id, { status: UPLOAD_STATUS.FAILED, error: error.message });
+            }
+        } finally {
+            delete uploadCancelersRef.current[upload.id];
+        }
+    };
+
+    /**
+     * Adds photos for a house to the upload manager and starts uploading them.
+     * Photos picked while offline are queued instead.
+     * @param {Object} house - The house the photos belong to.
+     * @param {Array<File>} files - The photos picked by the user.
+     */
+    const uploadPhotos = async (house, files) => {
+        // Queue the photos while offline; they are uploaded when the connection returns
+        if (!navigator.onLine) {
+            for (const file of files) {
+                await enqueueAction(QUEUED_ACTION.UPLOAD_PHOTO, { houseId: house.id, file });
+            }
+            refreshPendingCount();
+            return;
+        }
+
+        const newUploads = files.map((file) => ({
+            id: crypto.randomUUID(),
+            house,
+            file,
+            fileName: file.name,
+            status: UPLOAD_STATUS.PREPARING,
+            progress: 0,
+            error: null,
+        }));
+
+        setUploads((prevUploads) => [...prevUploads, ...newUploads]);
+        newUploads.forEach(runUpload);
+    };
+
+    /**
+     * Cancels a running upload.
+     * @param {string} uploadId - The ID of the upload.
+     */
+    const cancelUpload = (uploadId) => {
+        const cancel = uploadCancelersRef.current[uploadId];
+        if (cancel) cancel();
+    };
+
+    /**
+     * Starts a failed or canceled upload again.
+     * @param {string} uploadId - The ID of the upload.
+     */
+    const retryUpload = (uploadId) => {
+        const upload = uploads.find((u) => u.id === uploadId);
+        if (upload) runUpload(upload);
+    };
+
+    // Replay handlers read through a ref so the queue always uses the latest state setters
+    queueHandlersRef.current = {
+        [QUEUED_ACTION.ADD_HOUSE]: ({ address, location, tags, musicFrequency }) =>
+            addMarker(address, location, { tags, musicFrequency, fromQueue: true }),
+        [QUEUED_ACTION.UPLOAD_PHOTO]: ({ houseId, file }) => uploadHousePhoto(houseId, file, () => {}).done,
+    };
+
+    // Stable so the lightbox's keyboard listener is not re-registered on every render
+    const closeLightbox = useCallback(() => setLightbox(null), []);
+
+    // Keep the latest houses for the next offline start
+    useEffect(() => {
+        if (houses.length > 0) {
+            saveLastKnownHouses(houses);
+        }
+    }, [houses]);
+
+    // Houses lit in the selected season, plus last season's houses that are still unconfirmed,
+    // narrowed to the displays matching the tag and "open now" filters
+    const visibleHouses = useMemo(
+        () => houses.filter((house) =>
+            isShownInSeason(house, season) &&
+            matchesTagFilters(house, activeTags) &&
+            (!openNowOnly || isOpenNow(house, now))
+        ),
+        [houses, season, activeTags, openNowOnly, now]
+    );
+
+    // Seasons to choose from: this one and every season a loaded house was lit in
+    const seasonOptions = useMemo(() => {
+        const seasons = new Set([getSeasonForDate()]);
+        houses.forEach((house) => getHouseSeasons(house).forEach((year) => seasons.add(year)));
+        return [...seasons].sort((a, b) => b - a);
+    }, [houses]);
+
+    // Ordered driving tour over the selected houses
+    const tour = useMemo(() => {
+        const stops = tourStopIds
+            .map((id) => houses.find((house) => house.id === id))
+            .filter(Boolean);
+        return planTour(tourStart, stops);
+    }, [houses, tourStopIds, tourStart]);
+
     return (
         <div className="flex h-screen flex-col md:flex-row bg-cover bg-center" style={{ backgroundImage: "url('/images/snow-background.jpg')" }}>
             {/* Navbar for mobile */}
@@ -142,8 +532,43 @@ export default function Home() {
                 <Sidebar
                     addMarker={addMarker}
                     onSelectHouse={handleSelectHouse}
-                    houses={houses} // Pass houses array
+                    houses={visibleHouses} // Pass the houses shown for the selected season and filters
                     closeSidebar={() => setIsSidebarOpen(false)}
+                    user={user}
+                    selectedHouse={selectedHouse}
+                    onOpenPhotos={(house) => setLightbox({ house })}
+                    nearMeProps={{
+                        userPosition,
+                        isLocating,
+                        locationError,
+                        onToggleNearMe: toggleNearMe,
+                    }}
+                    houseListProps={{
+                        origin: userPosition ?? viewport?.center ?? null,
+                        viewportBounds: viewport?.bounds ?? null,
+                        onHighlightHouse: setHighlightedHouseId,
+                    }}
+                    openNowOnly={openNowOnly}
+                    onToggleOpenNow={() => setOpenNowOnly((prev) => !prev)}
+                    tagFilterProps={{
+                        activeTags,
+                        onToggleTag: toggleTagFilter,
+                        onClearTags: () => setActiveTags([]),
+                    }}
+                    seasonProps={{
+                        season,
+                        seasons: seasonOptions,
+                        currentSeason: getSeasonForDate(),
+                        onChangeSeason: setSeason,
+                    }}
+                    tourProps={{
+                        tourStopIds,
+                        onToggleStop: toggleTourStop,
+                        tourStart,
+                        onSetTourStart: setTourStart,
+                        tour,
+                        onClearTour: () => setTourStopIds([]),
+                    }}
                 />
             </div>
 
@@ -154,12 +579,46 @@ export default function Home() {
             <div className="flex-1 mt-16 md:mt-0">
                 <DynamicMap
                     addMarker={addMarker}
-                    houses={houses}
+                    houses={visibleHouses}
                     selectedHouse={selectedHouse}
                     onSelectHouse={handleSelectHouse}
+                    tour={tour}
+                    season={season}
+                    onBoundsChange={loadHousesInView}
+                    highlightedHouseId={highlightedHouseId}
+                    userPosition={userPosition}
+                    onOpenLightbox={setLightbox}
+                    onUploadPhotos={uploadPhotos}
                 />
             </div>
 
+            {/* Photo Lightbox */}
+            {lightbox && (
+                <PhotoLightbox
+                    house={lightbox.house}
+                    initialPhotos={lightbox.photos}
+                    initialCursor={lightbox.nextCursor}
+                    startIndex={lightbox.startIndex}
+                    onClose={closeLightbox}
+                />
+            )}
+
+            {/* Offline Status */}
+            <OfflineIndicator
+                isOnline={isOnline}
+                pendingCount={pendingCount}
+                droppedActions={droppedActions}
+                onDismissDropped={() => setDroppedActions([])}
+            />
+
+            {/* Upload Manager */}
+            <UploadManager
+                uploads={uploads}
+                onCancel={cancelUpload}
+                onRetry={retryUpload}
+                onDismiss={() => setUploads([])}
+            />
+
             {/* Floating Action Button */}
             {!isSidebarOpen && (
                 <div className="md:hidden">
@@ -0,0 +1,88 @@
+// Service worker: keeps the app shell and the last-known house list available offline.
+// Bump SHELL_CACHE when the precached files change so old copies are dropped.
+const SHELL_CACHE = "truckeelights-shell-v1";
+const RUNTIME_CACHE = "truckeelights-runtime-v1";
+
+// Written by the page (see utils/offlineUtils.js); kept across versions
+const DATA_CACHE = "truckeelights-data";
+
+const SHELL_FILES = ["/", "/manifest.json", "/favicon.ico", "/icons/icon.svg"];
+
+// Third-party hosts whose responses are safe to reuse offline
+const CACHEABLE_HOSTS = ["fonts.googleapis.com", "fonts.gstatic.com"];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  const keep = [SHELL_CACHE, RUNTIME_CACHE, DATA_CACHE];
+
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((key) => !keep.includes(key)).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Serves from the network, falling back to the cache when offline
+const networkFirst = async (request, fallbackUrl) => {
+  const cache = await caches.open(RUNTIME_CACHE);
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = (await caches.match(request)) || (fallbackUrl && (await caches.match(fallbackUrl)));
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+// Serves from the cache, fetching and storing on a miss
+const cacheFirst = async (request) => {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok || response.type === "opaque") {
+    const cache = await caches.open(RUNTIME_CACHE);
+    cache.put(request, response.clone());
+  }
+  return response;
+};
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+  const isSameOrigin = url.origin === self.location.origin;
+
+  // Page loads: fresh when online, the cached shell when offline
+  if (request.mode === "navigate") {
+    event.respondWith(networkFirst(request, "/"));
+    return;
+  }
+
+  // Build assets are content-hashed, so a cached copy never goes stale
+  if (isSameOrigin && url.pathname.startsWith("/_next/static/")) {
+    event.respondWith(cacheFirst(request));
+    return;
+  }
+
+  if (isSameOrigin || CACHEABLE_HOSTS.includes(url.hostname)) {
+    event.respondWith(networkFirst(request));
+  }
+
+  // Everything else (Firestore, Storage, Google Maps) is left to the browser and the Firebase SDK
+});
@@ -0,0 +1,29 @@
+// Backfills the `geohash` field on houses created before viewport loading.
+// Usage: FIRESTORE_EMULATOR_HOST=127.0.0.1:8080 npm run backfill:geohashes -- [--allow-production] (see scriptUtils.mjs)
+import { collection, getDocs } from "firebase/firestore";
+import { geohashForLocation } from "geofire-common";
+import { commitInBatches, initScriptFirebase, parseScriptArgs, runScript } from "./scriptUtils.mjs";
+
+const backfillGeohashes = async () => {
+    const { allowProduction, batchSize } = parseScriptArgs();
+    const { db } = initScriptFirebase({ allowProduction });
+    const snapshot = await getDocs(collection(db, "houses"));
+
+    const pending = snapshot.docs.filter((houseDoc) => {
+        const { geohash, location } = houseDoc.data();
+        if (!location || typeof location.lat !== "number" || typeof location.lng !== "number") {
+            console.warn(`Skipping house ${houseDoc.id}: missing location.`);
+            return false;
+        }
+        return !geohash;
+    });
+
+    await commitInBatches(db, pending, (batch, houseDoc) => {
+        const { location } = houseDoc.data();
+        batch.update(houseDoc.ref, { geohash: geohashForLocation([location.lat, location.lng]) });
+    }, batchSize);
+
+    console.log(`Backfilled geohashes on ${pending.length} of ${snapshot.size} houses.`);
+};
+
+runScript("backfilling geohashes", backfillGeohashes);
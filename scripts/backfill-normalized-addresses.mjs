@@ -0,0 +1,25 @@
+// Rewrites `normalizedAddress` on houses saved before USPS-style normalization.
+// Duplicate checks compare against this field, so older houses are otherwise never matched.
+// Usage: FIRESTORE_EMULATOR_HOST=127.0.0.1:8080 npm run backfill:normalized-addresses -- [--allow-production] (see scriptUtils.mjs)
+import { collection, getDocs } from "firebase/firestore";
+import { normalizeAddress } from "../utils/addressUtils.js";
+import { commitInBatches, initScriptFirebase, parseScriptArgs, runScript } from "./scriptUtils.mjs";
+
+const backfillNormalizedAddresses = async () => {
+    const { allowProduction, batchSize } = parseScriptArgs();
+    const { db } = initScriptFirebase({ allowProduction });
+    const snapshot = await getDocs(collection(db, "houses"));
+
+    const updates = snapshot.docs
+        .map((houseDoc) => {
+            const { address, normalizedAddress } = houseDoc.data();
+            return { ref: houseDoc.ref, before: normalizedAddress, after: normalizeAddress(address) };
+        })
+        .filter(({ before, after }) => before !== after);
+
+    await commitInBatches(db, updates, (batch, { ref, after }) => batch.update(ref, { normalizedAddress: after }), batchSize);
+
+    console.log(`Backfilled normalized addresses on ${updates.length} of ${snapshot.size} houses.`);
+};
+
+runScript("backfilling normalized addresses", backfillNormalizedAddresses);
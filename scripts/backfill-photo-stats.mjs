@@ -0,0 +1,37 @@
+// Backfills `photoCount` and `coverThumbnailURL` on houses from their approved photos.
+// Run `npm run backfill:photo-status` first, or photos from before moderation are not counted.
+// Usage: FIRESTORE_EMULATOR_HOST=127.0.0.1:8080 npm run backfill:photo-stats -- [--allow-production] (see scriptUtils.mjs)
+import { collection, getDocs, query, where } from "firebase/firestore";
+import { commitInBatches, initScriptFirebase, parseScriptArgs, runScript } from "./scriptUtils.mjs";
+
+const backfillPhotoStats = async () => {
+    const { allowProduction, batchSize } = parseScriptArgs();
+    const { db } = initScriptFirebase({ allowProduction });
+    const snapshot = await getDocs(collection(db, "houses"));
+    const updates = [];
+
+    for (const houseDoc of snapshot.docs) {
+        const photosSnapshot = await getDocs(
+            query(collection(db, "houses", houseDoc.id, "photos"), where("status", "==", "approved"))
+        );
+
+        // The newest approved photo becomes the cover
+        const [newest] = photosSnapshot.docs
+            .map((photoDoc) => photoDoc.data())
+            .sort((a, b) => (b.uploadedAt?.toMillis() ?? 0) - (a.uploadedAt?.toMillis() ?? 0));
+
+        updates.push({
+            ref: houseDoc.ref,
+            data: {
+                photoCount: photosSnapshot.size,
+                coverThumbnailURL: newest ? newest.thumbnailURL || newest.downloadURL : null,
+            },
+        });
+    }
+
+    await commitInBatches(db, updates, (batch, { ref, data }) => batch.update(ref, data), batchSize);
+
+    console.log(`Backfilled photo stats on ${updates.length} houses.`);
+};
+
+runScript("backfilling photo stats", backfillPhotoStats);
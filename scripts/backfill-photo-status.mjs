@@ -0,0 +1,21 @@
+// Backfills `status: "approved"` on photo documents written before moderation.
+// The map only shows approved photos, so these stay hidden until this has run.
+// Usage: FIRESTORE_EMULATOR_HOST=127.0.0.1:8080 npm run backfill:photo-status -- [--allow-production] (see scriptUtils.mjs)
+import { collectionGroup, getDocs } from "firebase/firestore";
+import { commitInBatches, initScriptFirebase, parseScriptArgs, runScript } from "./scriptUtils.mjs";
+
+const backfillPhotoStatus = async () => {
+    const { allowProduction, batchSize } = parseScriptArgs();
+    const { db } = initScriptFirebase({ allowProduction });
+
+    // Firestore cannot query for a missing field, so every photo is read
+    const snapshot = await getDocs(collectionGroup(db, "photos"));
+    const pending = snapshot.docs.filter((photoDoc) => !photoDoc.data().status);
+
+    // These photos were already public before moderation existed
+    await commitInBatches(db, pending, (batch, photoDoc) => batch.update(photoDoc.ref, { status: "approved" }), batchSize);
+
+    console.log(`Backfilled status on ${pending.length} of ${snapshot.size} photos.`);
+};
+
+runScript("backfilling photo status", backfillPhotoStatus);
@@ -0,0 +1,33 @@
+// Checks that different spellings of one address normalize the same way, since duplicate
+// houses are found by comparing normalized addresses exactly.
+// Usage: npm run check:addresses
+import assert from "node:assert/strict";
+import { normalizeAddress } from "../utils/addressUtils.js";
+
+// Each group lists spellings of one address, followed by its normalized form
+const SAME_ADDRESS = [
+    [["123 Main Street Apartment 4", "123 Main Street Apt 4", "123 Main St Apt. 4", "123 main st apt 4"], "123 main st apt 4"],
+    [["123 Main Street Suite 200", "123 Main Street Ste 200", "123 Main St. Ste 200"], "123 main st ste 200"],
+    [["123 Main Street Building B", "123 Main Street Bldg B"], "123 main st bldg b"],
+    [["123 Main Street Department 7", "123 Main Street Dept 7"], "123 main st dept 7"],
+    [["123 Main Street Floor 2", "123 Main Street Fl 2"], "123 main st fl 2"],
+    [["123 Main Street Room 5", "123 Main Street Rm 5"], "123 main st rm 5"],
+    [["12 Pine Avenue Space 14", "12 Pine Ave Spc 14"], "12 pine ave spc 14"],
+    [["12 Pine Avenue Trailer 3", "12 Pine Ave Trlr 3"], "12 pine ave trlr 3"],
+    [["12 Pine Avenue Unit 3", "12 Pine Ave Unit 3"], "12 pine ave unit 3"],
+    [["12 Pine Avenue Number 3", "12 Pine Avenue #3", "12 Pine Ave # 3"], "12 pine ave # 3"],
+    [["10042 Donner Pass Road, Truckee, California 96161-1234, USA", "10042 Donner Pass Rd, Truckee, CA 96161"], "10042 donner pass rd, truckee, ca 96161"],
+    [["12 North Lake Boulevard", "12 N Lake Blvd"], "12 n lake blvd"],
+    [["12 West Street", "12 West St"], "12 west st"],
+];
+
+let count = 0;
+SAME_ADDRESS.forEach(([spellings, expected]) => {
+    spellings.forEach((spelling) => {
+        assert.equal(normalizeAddress(spelling), expected, `"${spelling}"`);
+        count += 1;
+    });
+});
+
+console.log(`${count} address normalization checks passed.`);
+process.exit(0);
@@ -0,0 +1,237 @@
+// Drives the marker syncing and position adjusting behind the map through the fake map provider,
+// so they can be checked without a browser or a mapping library.
+// Usage: npm run check:map
+import assert from "node:assert/strict";
+import { createFakeMapProvider } from "../utils/fakeMapProvider.js";
+import { startPositionAdjustment, syncHouseMarkers } from "../utils/markerUtils.js";
+
+const DONNER_LAKE = { lat: 39.3235, lng: -120.2334 };
+const DOWNTOWN = { lat: 39.3280, lng: -120.1833 };
+const GLENSHIRE = { lat: 39.3660, lng: -120.1240 };
+
+const checks = [];
+const check = (name, run) => checks.push({ name, run });
+
+// A map with a clusterer and the marker state Map.js keeps in refs
+const setUpMap = (options) => {
+    const provider = createFakeMapProvider(options);
+    const map = provider.createMap(null, { center: DOWNTOWN, zoom: 13 });
+    const clusterer = provider.createClusterer(map);
+    const state = { markers: {}, renderedHouses: {} };
+    const clicks = [];
+
+    const sync = (houses, getOpacity = () => 1) =>
+        syncHouseMarkers(provider, map, state, houses, {
+            clusterer,
+            onMarkerClick: (marker, house) => clicks.push(house.id),
+            getOpacity,
+        });
+
+    return { provider, map, clusterer, state, clicks, sync };
+};
+
+check("adds a clustered marker for each house and routes clicks", () => {
+    const { provider, map, clusterer, state, clicks, sync } = setUpMap();
+
+    sync([
+        { id: "a", location: DONNER_LAKE },
+        { id: "b", location: DOWNTOWN },
+    ]);
+
+    assert.equal(map.markers.length, 2);
+    assert.equal(state.markers.a.clusterer, clusterer);
+    assert.deepEqual(provider.getMarkerPosition(state.markers.b), DOWNTOWN);
+    assert.equal(clusterer.renderCount, 1);
+
+    provider.simulateMarkerClick(state.markers.b);
+    assert.deepEqual(clicks, ["b"]);
+});
+
+check("skips hidden houses and houses without a location", () => {
+    const { map, state, sync } = setUpMap();
+
+    sync([
+        { id: "a", location: DONNER_LAKE },
+        { id: "hidden", location: DOWNTOWN, hidden: true },
+        { id: "unplaced", location: null },
+    ]);
+
+    assert.deepEqual(Object.keys(state.markers), ["a"]);
+    assert.equal(map.markers.length, 1);
+});
+
+check("removes and moves markers, reclustering only when something changed", () => {
+    const { provider, map, clusterer, state, sync } = setUpMap();
+    const a = { id: "a", location: DONNER_LAKE };
+    const b = { id: "b", location: DOWNTOWN };
+
+    sync([a, b]);
+    const markerA = state.markers.a;
+
+    // The same house objects again, as when another listener fires with no changes
+    sync([a, b]);
+    assert.equal(clusterer.renderCount, 1);
+
+    sync([{ ...a, location: GLENSHIRE }]);
+    assert.equal(state.markers.a, markerA, "a moved house keeps its marker");
+    assert.deepEqual(provider.getMarkerPosition(markerA), GLENSHIRE);
+    assert.equal(state.markers.b, undefined);
+    assert.equal(state.renderedHouses.b, undefined);
+    assert.deepEqual(map.markers, [markerA]);
+    assert.equal(clusterer.renderCount, 2);
+
+    // A house that is hidden later loses its marker
+    sync([{ ...a, location: GLENSHIRE, hidden: true }]);
+    assert.equal(map.markers.length, 0);
+    assert.equal(clusterer.renderCount, 3);
+});
+
+check("sets each marker's opacity from the house", () => {
+    const { state, sync } = setUpMap();
+
+    sync([
+        { id: "lit", location: DONNER_LAKE, lit: true },
+        { id: "dark", location: DOWNTOWN, lit: false },
+    ], (house) => (house.lit ? 1 : 0.5));
+
+    assert.equal(state.markers.lit.opacity, 1);
+    assert.equal(state.markers.dark.opacity, 0.5);
+});
+
+// A house marker in adjust mode, recording what the adjustment asked of Map.js
+const setUpAdjustment = ({ failSave = false } = {}) => {
+    const setup = setUpMap({
+        reverseGeocode: async (location) =>
+            location.lat === DOWNTOWN.lat ? [{ address: "10042 Donner Pass Rd", location }] : [],
+    });
+    const { provider, map, state, sync } = setup;
+    sync([{ id: "a", location: DONNER_LAKE }]);
+
+    const marker = state.markers.a;
+    const infoWindow = provider.createInfoWindow(map);
+    const calls = { saved: [], saveErrors: 0, geocodeErrors: 0, finished: 0, rendered: [] };
+
+    const adjustment = startPositionAdjustment(provider, {
+        marker,
+        infoWindow,
+        renderContent: (contentState) => {
+            calls.rendered.push(contentState);
+            return "";
+        },
+        bindControls: () => {},
+        onSave: async (suggestion) => {
+            if (failSave) throw new Error("Offline");
+            calls.saved.push(suggestion);
+        },
+        onSaveError: () => {
+            calls.saveErrors += 1;
+        },
+        onGeocodeError: () => {
+            calls.geocodeErrors += 1;
+        },
+        onFinish: () => {
+            calls.finished += 1;
+        },
+    });
+
+    return { ...setup, marker, infoWindow, adjustment, calls };
+};
+
+check("saving an adjusted position keeps the marker where it was dropped", async () => {
+    const { provider, marker, infoWindow, adjustment, calls } = setUpAdjustment();
+
+    assert.equal(marker.draggable, true);
+    assert.equal(infoWindow.isOpen, true);
+
+    provider.simulateMarkerDrag(marker, DOWNTOWN);
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.deepEqual(calls.rendered.at(-1), { address: "10042 Donner Pass Rd" });
+
+    assert.equal(await adjustment.save(), true);
+    assert.deepEqual(calls.saved, [{ address: "10042 Donner Pass Rd", location: DOWNTOWN }]);
+    assert.deepEqual(provider.getMarkerPosition(marker), DOWNTOWN);
+    assert.equal(marker.draggable, false);
+    assert.equal(infoWindow.isOpen, false);
+    assert.equal(calls.finished, 1);
+});
+
+check("a failed save leaves adjust mode running so it can be retried", async () => {
+    const { provider, marker, infoWindow, adjustment, calls } = setUpAdjustment({ failSave: true });
+
+    provider.simulateMarkerDrag(marker, DOWNTOWN);
+    await new Promise((resolve) => setImmediate(resolve));
+
+    assert.equal(await adjustment.save(), false);
+    assert.equal(calls.saveErrors, 1);
+    assert.equal(marker.draggable, true);
+    assert.equal(infoWindow.isOpen, true);
+    assert.equal(calls.finished, 0);
+});
+
+check("a drop point without an address is reported and the marker stays draggable", async () => {
+    const { provider, marker, calls } = setUpAdjustment();
+
+    provider.simulateMarkerDrag(marker, GLENSHIRE);
+    await new Promise((resolve) => setImmediate(resolve));
+
+    assert.equal(calls.geocodeErrors, 1);
+    assert.equal(calls.rendered.at(-1), undefined);
+    assert.equal(marker.draggable, true);
+});
+
+check("canceling moves the marker back", () => {
+    const { provider, marker, infoWindow, adjustment, calls } = setUpAdjustment();
+
+    provider.simulateMarkerDrag(marker, DOWNTOWN);
+    adjustment.cancel();
+
+    assert.deepEqual(provider.getMarkerPosition(marker), DONNER_LAKE);
+    assert.equal(marker.draggable, false);
+    assert.equal(infoWindow.isOpen, false);
+    assert.equal(calls.finished, 1);
+
+    // Canceling twice, e.g. from the button and then another house opening, finishes once
+    adjustment.cancel();
+    assert.equal(calls.finished, 1);
+});
+
+check("closing the info window cancels the adjustment", async () => {
+    const { provider, marker, infoWindow, calls } = setUpAdjustment();
+
+    provider.simulateMarkerDrag(marker, DOWNTOWN);
+    provider.simulateInfoWindowClose(infoWindow);
+
+    assert.deepEqual(provider.getMarkerPosition(marker), DONNER_LAKE);
+    assert.equal(marker.draggable, false);
+    assert.equal(calls.finished, 1);
+
+    // The drop point's address arriving afterwards does not reopen the window
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.equal(infoWindow.isOpen, false);
+    assert.equal(calls.rendered.length, 2);
+});
+
+const runChecks = async () => {
+    let failed = 0;
+
+    for (const { name, run } of checks) {
+        try {
+            await run();
+            console.log(`ok - ${name}`);
+        } catch (error) {
+            failed += 1;
+            console.error(`not ok - ${name}`);
+            console.error(error);
+        }
+    }
+
+    console.log(`${checks.length - failed} of ${checks.length} map checks passed.`);
+    return failed;
+};
+
+runChecks()
+    .then((failed) => process.exit(failed > 0 ? 1 : 0))
+    .catch((error) => {
+        console.error("Error running map checks:", error);
+        process.exit(1);
+    });
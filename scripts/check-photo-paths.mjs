@@ -0,0 +1,35 @@
+// Checks that photo uploads get Storage paths of their own, so two files with the same name
+// uploaded to one house never overwrite each other (Storage rules deny visitors an overwrite).
+// Usage: npm run check:photo-paths
+import assert from "node:assert/strict";
+import { initializeApp } from "firebase/app";
+import { collection, doc, getFirestore } from "firebase/firestore";
+import { getPhotoStoragePaths } from "../utils/schemaUtils.js";
+
+// Document IDs are made on the client, so no project or network is needed
+const db = getFirestore(initializeApp({ projectId: "demo-truckeelights" }));
+
+// The paths uploadHousePhoto uses for a new photo of a house
+const planUpload = (houseId, fileName) => {
+    const photoRef = doc(collection(db, "houses", houseId, "photos"));
+    return getPhotoStoragePaths(houseId, photoRef.id, fileName);
+};
+
+const first = planUpload("house-1", "image.jpg");
+const second = planUpload("house-1", "image.jpg");
+
+assert.notEqual(first.storagePath, second.storagePath, "same-named uploads share a file");
+assert.notEqual(first.thumbnailStoragePath, second.thumbnailStoragePath, "same-named uploads share a thumbnail");
+assert.match(first.storagePath, /^houses\/house-1\/photos\/[A-Za-z0-9]+\.jpg$/);
+assert.match(first.thumbnailStoragePath, /^houses\/house-1\/photos\/thumbs\/[A-Za-z0-9]+\.jpg$/);
+
+// Only the extension of the original name is kept
+assert.deepEqual(getPhotoStoragePaths("house-1", "abc", "Lights On Main.PNG"), {
+    storagePath: "houses/house-1/photos/abc.png",
+    thumbnailStoragePath: "houses/house-1/photos/thumbs/abc.png",
+});
+assert.equal(getPhotoStoragePaths("house-1", "abc", "no-extension").storagePath, "houses/house-1/photos/abc.jpg");
+assert.equal(getPhotoStoragePaths("house-1", "abc").storagePath, "houses/house-1/photos/abc.jpg");
+
+console.log("Photo storage path checks passed.");
+process.exit(0);
@@ -0,0 +1,51 @@
+// Creates photo documents for files that exist only in Storage under houses/{id}/photos/.
+// Photos uploaded before metadata docs were read by the app are otherwise invisible.
+// Usage: FIRESTORE_EMULATOR_HOST=127.0.0.1:8080 FIREBASE_STORAGE_EMULATOR_HOST=127.0.0.1:9199 \
+//   npm run migrate:photo-metadata -- [--allow-production] (see scriptUtils.mjs)
+import { collection, getDocs, addDoc, Timestamp } from "firebase/firestore";
+import { ref, listAll, getDownloadURL, getMetadata } from "firebase/storage";
+import { initScriptFirebase, parseScriptArgs, runScript } from "./scriptUtils.mjs";
+
+const migrateHouse = async ({ db, storage }, houseId) => {
+    const [storageList, photosSnapshot] = await Promise.all([
+        listAll(ref(storage, `houses/${houseId}/photos`)),
+        getDocs(collection(db, "houses", houseId, "photos")),
+    ]);
+
+    const knownPaths = new Set(photosSnapshot.docs.map((photoDoc) => photoDoc.data().storagePath));
+    const missing = storageList.items.filter((itemRef) => !knownPaths.has(itemRef.fullPath));
+
+    for (const itemRef of missing) {
+        const [downloadURL, metadata] = await Promise.all([getDownloadURL(itemRef), getMetadata(itemRef)]);
+
+        await addDoc(collection(db, "houses", houseId, "photos"), {
+            downloadURL,
+            storagePath: itemRef.fullPath,
+            uploadedAt: Timestamp.fromDate(new Date(metadata.timeCreated)),
+            fileName: itemRef.name,
+            // These photos were already public before moderation existed
+            status: "approved",
+        });
+    }
+
+    return missing.length;
+};
+
+const migratePhotoMetadata = async () => {
+    const { allowProduction } = parseScriptArgs();
+    const firebase = initScriptFirebase({ allowProduction, useStorage: true });
+    const housesSnapshot = await getDocs(collection(firebase.db, "houses"));
+    let created = 0;
+
+    for (const houseDoc of housesSnapshot.docs) {
+        const count = await migrateHouse(firebase, houseDoc.id);
+        if (count > 0) {
+            console.log(`House ${houseDoc.id}: created ${count} photo documents.`);
+        }
+        created += count;
+    }
+
+    console.log(`Created ${created} photo documents across ${housesSnapshot.size} houses.`);
+};
+
+runScript("migrating photo metadata", migratePhotoMetadata);
@@ -0,0 +1,94 @@
+// Upgrades house and photo documents to the current schema version (see utils/schemaUtils.js).
+// Old houses lose their unused `photos` array, get any missing derived fields and have their
+// photo count recomputed. Photos from before moderation have `status: "approved"` stored, since the
+// map's photo queries filter on it (backfill:photo-status does only that step). Documents that
+// cannot be upgraded, such as houses without a location, are listed and left alone.
+// Usage: FIRESTORE_EMULATOR_HOST=127.0.0.1:8080 npm run migrate:schema -- [--dry-run] [--batch-size=500]
+//   [--allow-production] (see scriptUtils.mjs)
+import { collection, getDocs } from "firebase/firestore";
+import {
+    HOUSE_SCHEMA_VERSION,
+    PHOTO_SCHEMA_VERSION,
+    normalizePhoto,
+    upgradeHouse,
+    upgradePhoto,
+} from "../utils/schemaUtils.js";
+import { commitInBatches, initScriptFirebase, parseScriptArgs, runScript } from "./scriptUtils.mjs";
+
+// Names of the fields an upgrade adds, changes or removes
+const describeChanges = (before, after) =>
+    [...new Set([...Object.keys(before), ...Object.keys(after)])]
+        .filter((name) => JSON.stringify(before[name]) !== JSON.stringify(after[name]))
+        .sort();
+
+/**
+ * Works out the writes that bring one house and its photos up to date.
+ * @returns {Promise<Object>} - The { writes, problems } for the house.
+ */
+const planHouseUpgrade = async (db, houseDoc) => {
+    const house = houseDoc.data();
+    const photosSnapshot = await getDocs(collection(db, "houses", houseDoc.id, "photos"));
+    const writes = [];
+    const problems = [];
+    const photos = [];
+
+    photosSnapshot.docs.forEach((photoDoc) => {
+        const photo = photoDoc.data();
+        if (photo.schemaVersion >= PHOTO_SCHEMA_VERSION) {
+            photos.push(normalizePhoto(photo));
+            return;
+        }
+
+        try {
+            const upgraded = upgradePhoto(photo, { uploadedAt: house.createdAt ?? null });
+            writes.push({ ref: photoDoc.ref, data: upgraded, changes: describeChanges(photo, upgraded) });
+            photos.push(upgraded);
+        } catch (error) {
+            problems.push(`${photoDoc.ref.path}: ${error.message}`);
+        }
+    });
+
+    // Upgraded photos can change the house's photo count, so it is rewritten along with them
+    if (house.schemaVersion >= HOUSE_SCHEMA_VERSION && writes.length === 0) {
+        return { writes, problems };
+    }
+
+    try {
+        const upgraded = upgradeHouse(house, photos);
+        writes.push({ ref: houseDoc.ref, data: upgraded, changes: describeChanges(house, upgraded) });
+    } catch (error) {
+        problems.push(`${houseDoc.ref.path}: ${error.message}`);
+    }
+
+    return { writes, problems };
+};
+
+const migrateSchema = async () => {
+    const { isDryRun, allowProduction, batchSize } = parseScriptArgs();
+    const { db } = initScriptFirebase({ allowProduction });
+
+    const housesSnapshot = await getDocs(collection(db, "houses"));
+    const writes = [];
+    const problems = [];
+
+    for (const houseDoc of housesSnapshot.docs) {
+        const plan = await planHouseUpgrade(db, houseDoc);
+        writes.push(...plan.writes);
+        problems.push(...plan.problems);
+    }
+
+    if (isDryRun) {
+        writes.forEach(({ ref, changes }) => console.log(`Would upgrade ${ref.path}: ${changes.join(", ")}`));
+    } else {
+        // Whole documents are written so fields dropped from the schema are removed
+        await commitInBatches(db, writes, (batch, { ref, data }) => batch.set(ref, data), batchSize);
+    }
+
+    problems.forEach((problem) => console.warn(`Skipped ${problem}`));
+    console.log(
+        `${isDryRun ? "Dry run: would upgrade" : "Upgraded"} ${writes.length} documents across ${housesSnapshot.size} houses` +
+            ` (${problems.length} skipped).`
+    );
+};
+
+runScript("migrating schema", migrateSchema);
@@ -0,0 +1,114 @@
+// Setup shared by the backfill and migration scripts: command-line flags, the Firebase app,
+// the emulator guard and batched writes.
+//
+// Every script runs against the emulators at FIRESTORE_EMULATOR_HOST (and
+// FIREBASE_STORAGE_EMULATOR_HOST when it uses Storage) unless --allow-production is passed.
+// Flags: [--dry-run] [--batch-size=500] [--allow-production]
+import { initializeApp } from "firebase/app";
+import { connectFirestoreEmulator, getFirestore, writeBatch } from "firebase/firestore";
+import { connectStorageEmulator, getStorage } from "firebase/storage";
+
+// Firestore allows at most 500 writes per batch
+export const MAX_BATCH_SIZE = 500;
+
+/**
+ * Reads the flags shared by every script from the command line.
+ * @returns {Object} - The flags as { isDryRun, allowProduction, batchSize }.
+ * @throws {Error} - If --batch-size is not a whole number from 1 to MAX_BATCH_SIZE.
+ */
+export const parseScriptArgs = () => {
+    const args = process.argv.slice(2);
+    const batchSizeArg = args.find((arg) => arg.startsWith("--batch-size="));
+    const batchSize = batchSizeArg ? Number(batchSizeArg.split("=")[1]) : MAX_BATCH_SIZE;
+
+    if (!Number.isInteger(batchSize) || batchSize < 1 || batchSize > MAX_BATCH_SIZE) {
+        throw new Error(`--batch-size must be a whole number from 1 to ${MAX_BATCH_SIZE}.`);
+    }
+
+    return {
+        isDryRun: args.includes("--dry-run"),
+        allowProduction: args.includes("--allow-production"),
+        batchSize,
+    };
+};
+
+// Splits a "host:port" emulator address
+const parseHost = (emulatorHost) => {
+    const [host, port] = emulatorHost.split(":");
+    return [host, Number(port)];
+};
+
+/**
+ * Initializes Firebase from the NEXT_PUBLIC_FIREBASE_* variables in .env.local and connects to
+ * the emulators when their hosts are set.
+ * @param {Object} options - How the script reaches Firebase.
+ * @param {boolean} options.allowProduction - Whether the real project may be used without emulators.
+ * @param {boolean} [options.useStorage] - Whether the script also needs Storage.
+ * @returns {Object} - The Firebase handles as { db, storage }, where `storage` is null unless asked for.
+ * @throws {Error} - If no emulator is set and --allow-production was not passed.
+ */
+export const initScriptFirebase = ({ allowProduction, useStorage = false }) => {
+    const app = initializeApp({
+        apiKey: process.env.NEXT_PUBLIC_FIREBASE_API_KEY,
+        authDomain: process.env.NEXT_PUBLIC_FIREBASE_AUTH_DOMAIN,
+        projectId: process.env.NEXT_PUBLIC_FIREBASE_PROJECT_ID,
+        storageBucket: process.env.NEXT_PUBLIC_FIREBASE_STORAGE_BUCKET,
+    });
+    const db = getFirestore(app);
+    const storage = useStorage ? getStorage(app) : null;
+
+    const firestoreHost = process.env.FIRESTORE_EMULATOR_HOST;
+    const storageHost = process.env.FIREBASE_STORAGE_EMULATOR_HOST;
+
+    if (!firestoreHost) {
+        if (!allowProduction) {
+            throw new Error("Set FIRESTORE_EMULATOR_HOST to use the emulator, or pass --allow-production.");
+        }
+        return { db, storage };
+    }
+
+    // Never mix emulated documents with production files
+    if (useStorage && !storageHost) {
+        throw new Error("Set FIREBASE_STORAGE_EMULATOR_HOST too when using the Firestore emulator.");
+    }
+
+    connectFirestoreEmulator(db, ...parseHost(firestoreHost));
+    console.log(`Using the Firestore emulator at ${firestoreHost}.`);
+
+    if (useStorage) {
+        connectStorageEmulator(storage, ...parseHost(storageHost));
+        console.log(`Using the Storage emulator at ${storageHost}.`);
+    }
+
+    return { db, storage };
+};
+
+/**
+ * Writes a list of changes in batches, logging progress after each one.
+ * @param {Firestore} db - The Firestore instance.
+ * @param {Array} items - The changes to write.
+ * @param {Function} addToBatch - Called with (batch, item) to add one change to a batch.
+ * @param {number} [batchSize] - The number of changes per batch.
+ */
+export const commitInBatches = async (db, items, addToBatch, batchSize = MAX_BATCH_SIZE) => {
+    for (let i = 0; i < items.length; i += batchSize) {
+        const batch = writeBatch(db);
+        items.slice(i, i + batchSize).forEach((item) => addToBatch(batch, item));
+        await batch.commit();
+        console.log(`Committed ${Math.min(i + batchSize, items.length)} of ${items.length} writes.`);
+    }
+};
+
+/**
+ * Runs a script's main function and exits with its outcome.
+ * @param {string} description - What the script does, for the error message, e.g. "migrating schema".
+ * @param {Function} main - The async function doing the work.
+ */
+export const runScript = (description, main) => {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error(`Error ${description}:`, error);
+            process.exit(1);
+        });
+};
@@ -0,0 +1,209 @@
+// USPS street suffixes (Publication 28, Appendix C1), mapped to their standard abbreviation
+const STREET_SUFFIXES = {
+  alley: "aly",
+  allee: "aly",
+  ally: "aly",
+  avenue: "ave",
+  av: "ave",
+  aven: "ave",
+  avenu: "ave",
+  avn: "ave",
+  avnue: "ave",
+  boulevard: "blvd",
+  boul: "blvd",
+  boulv: "blvd",
+  circle: "cir",
+  circ: "cir",
+  circl: "cir",
+  crcl: "cir",
+  court: "ct",
+  cove: "cv",
+  crossing: "xing",
+  crssng: "xing",
+  drive: "dr",
+  driv: "dr",
+  drv: "dr",
+  expressway: "expy",
+  freeway: "fwy",
+  highway: "hwy",
+  highwy: "hwy",
+  hiway: "hwy",
+  hiwy: "hwy",
+  hway: "hwy",
+  hollow: "holw",
+  junction: "jct",
+  lane: "ln",
+  loop: "loop",
+  meadow: "mdw",
+  meadows: "mdws",
+  parkway: "pkwy",
+  parkwy: "pkwy",
+  pkway: "pkwy",
+  pky: "pkwy",
+  place: "pl",
+  plaza: "plz",
+  point: "pt",
+  ridge: "rdg",
+  road: "rd",
+  route: "rte",
+  square: "sq",
+  street: "st",
+  str: "st",
+  strt: "st",
+  terrace: "ter",
+  terr: "ter",
+  trail: "trl",
+  trails: "trl",
+  view: "vw",
+  way: "way",
+};
+
+// USPS secondary unit designators (Publication 28, Appendix C2)
+const UNIT_DESIGNATORS = {
+  apartment: "apt",
+  apt: "apt",
+  building: "bldg",
+  bldg: "bldg",
+  department: "dept",
+  dept: "dept",
+  floor: "fl",
+  fl: "fl",
+  lot: "lot",
+  number: "#",
+  "#": "#",
+  room: "rm",
+  rm: "rm",
+  space: "spc",
+  spc: "spc",
+  suite: "ste",
+  ste: "ste",
+  trailer: "trlr",
+  trlr: "trlr",
+  unit: "unit",
+};
+
+const DIRECTIONALS = {
+  north: "n",
+  south: "s",
+  east: "e",
+  west: "w",
+  northeast: "ne",
+  northwest: "nw",
+  southeast: "se",
+  southwest: "sw",
+};
+
+const COUNTRY_SUFFIXES = ["usa", "us", "united states", "united states of america"];
+
+const STATES = {
+  california: "ca",
+  nevada: "nv",
+};
+
+const standardizeWord = (word, table) => table[word] || word;
+
+/**
+ * Standardizes the street line, e.g. "123 North Main Street Apartment 4" -> "123 n main st apt 4".
+ */
+const normalizeStreetLine = (line) => {
+  const words = line.replace(/#\s*/g, "# ").split(" ");
+
+  // The street type is the word just before any unit designator
+  const unitIndex = words.findIndex((word, index) => index > 0 && Object.hasOwn(UNIT_DESIGNATORS, word));
+  const suffixIndex = (unitIndex === -1 ? words.length : unitIndex) - 1;
+
+  return words
+    .map((word, index) => {
+      if (index >= unitIndex && unitIndex !== -1) return standardizeWord(word, UNIT_DESIGNATORS);
+
+      // Leave a word alone when it is the street's name itself, as in "123 Court"
+      if (suffixIndex < 2) return word;
+      if (index === suffixIndex) return standardizeWord(word, STREET_SUFFIXES);
+      // A leading directional needs a name after it, so "12 West St" keeps "west" as its name
+      if ((index === 1 && suffixIndex > 2) || index === suffixIndex + 1) return standardizeWord(word, DIRECTIONALS);
+
+      return word;
+    })
+    .join(" ");
+};
+
+/**
+ * Standardizes the state and ZIP part, e.g. "California 96161-1234" -> "ca 96161".
+ */
+const normalizeStateZip = (part) =>
+  part
+    .replace(/\b(\d{5})-?\d{4}\b/, "$1")
+    .split(" ")
+    .map((word) => standardizeWord(word, STATES))
+    .join(" ");
+
+/**
+ * Normalizes an address so that different spellings of the same address compare equal.
+ * Street suffixes, unit designators and directionals are abbreviated the USPS way,
+ * a trailing country is dropped and ZIP+4 codes are cut to five digits.
+ * @param {string} address - The address as typed or geocoded.
+ * @returns {string} - The normalized address, e.g. "123 main st, truckee, ca 96161".
+ */
+export const normalizeAddress = (address) => {
+  if (!address) return "";
+
+  const parts = address
+    .toLowerCase()
+    .replace(/[.']/g, "")
+    .split(",")
+    .map((part) => part.replace(/\s+/g, " ").trim())
+    .filter(Boolean);
+
+  while (parts.length > 1 && COUNTRY_SUFFIXES.includes(parts[parts.length - 1])) {
+    parts.pop();
+  }
+
+  return parts
+    .map((part, index) => {
+      if (index === 0) return normalizeStreetLine(part);
+      // The last part holds the state and ZIP in a full address, or a lone ZIP
+      if (index === parts.length - 1 && (index > 1 || /\d{5}/.test(part))) return normalizeStateZip(part);
+      return part;
+    })
+    .join(", ");
+};
+
+// Matches a normalized "state zip" part such as "ca 96161" or "ca"
+const STATE_ZIP_PATTERN = /^([a-z]{2})(?: (\d{5}))?$|^(\d{5})$/;
+
+/**
+ * Splits a normalized address into its street, city, state and ZIP.
+ */
+const parseAddress = (address) => {
+  const [street, ...rest] = normalizeAddress(address).split(", ");
+  const parsed = { street, city: null, state: null, zip: null };
+
+  const stateZip = rest.length > 0 ? rest[rest.length - 1].match(STATE_ZIP_PATTERN) : null;
+  if (stateZip) {
+    rest.pop();
+    parsed.state = stateZip[1] || null;
+    parsed.zip = stateZip[2] || stateZip[3] || null;
+  }
+  parsed.city = rest[0] || null;
+
+  return parsed;
+};
+
+/**
+ * Checks whether two addresses describe the same place.
+ * A partial address such as "123 Main Street" matches a full one such as
+ * "123 Main St, Truckee, CA 96161, USA" as long as the parts both contain agree.
+ * @param {string} a - The first address.
+ * @param {string} b - The second address.
+ * @returns {boolean} - True if the addresses match.
+ */
+export const addressesMatch = (a, b) => {
+  const parsedA = parseAddress(a);
+  const parsedB = parseAddress(b);
+
+  if (!parsedA.street || parsedA.street !== parsedB.street) return false;
+
+  return ["city", "state", "zip"].every(
+    (field) => !parsedA[field] || !parsedB[field] || parsedA[field] === parsedB[field]
+  );
+};
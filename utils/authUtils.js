@@ -0,0 +1,142 @@
+import {
+  EmailAuthProvider,
+  isSignInWithEmailLink,
+  linkWithCredential,
+  onAuthStateChanged,
+  sendSignInLinkToEmail,
+  signInAnonymously,
+  signInWithEmailLink,
+  signOut,
+  updateProfile,
+} from "firebase/auth";
+import { auth } from "../firebase";
+
+// Remembers the address a sign-in link was sent to, so the link can be completed on return
+const EMAIL_FOR_SIGN_IN_STORAGE_KEY = "truckeelights.emailForSignIn";
+
+/**
+ * Returns the signed-in user, signing in anonymously if nobody is signed in yet.
+ * @returns {Promise<import("firebase/auth").User>} - The current user.
+ */
+export const ensureSignedIn = async () => {
+  await auth.authStateReady();
+
+  if (!auth.currentUser) {
+    await signInAnonymously(auth);
+  }
+
+  return auth.currentUser;
+};
+
+/**
+ * Returns the uid of the signed-in user.
+ * @returns {string|null} - The uid, or null before sign-in has completed.
+ */
+export const getCurrentUserId = () => auth?.currentUser?.uid ?? null;
+
+// Subscribers of subscribeToAuth, told when a guest account is linked to an email
+const authListeners = new Set();
+
+/**
+ * Subscribes to sign-in state changes.
+ * Linking a guest account keeps the same user, which Firebase does not report as a change,
+ * so the callback is also called with the linked user then.
+ * @param {Function} callback - Called with the current user, or null.
+ * @returns {Function} - Unsubscribes the listener.
+ */
+export const subscribeToAuth = (callback) => {
+  authListeners.add(callback);
+  const unsubscribe = onAuthStateChanged(auth, callback);
+
+  return () => {
+    authListeners.delete(callback);
+    unsubscribe();
+  };
+};
+
+/**
+ * Checks whether a user may use the admin pages.
+ * Admins carry an `admin: true` custom claim, set with the Admin SDK's setCustomUserClaims.
+ * firestore.rules and storage.rules check the same claim; this only decides what the admin pages show.
+ * @param {import("firebase/auth").User|null} user - The user to check.
+ * @returns {Promise<boolean>} - True if the user is an admin.
+ */
+export const isAdminUser = async (user) => {
+  if (!user || user.isAnonymous) return false;
+
+  const { claims } = await user.getIdTokenResult();
+  return claims.admin === true;
+};
+
+/**
+ * Emails a sign-in link that upgrades the current guest account.
+ * @param {string} email - The address to send the link to.
+ */
+export const sendEmailSignInLink = async (email) => {
+  await sendSignInLinkToEmail(auth, email, {
+    url: `${window.location.origin}${window.location.pathname}`,
+    handleCodeInApp: true,
+  });
+
+  localStorage.setItem(EMAIL_FOR_SIGN_IN_STORAGE_KEY, email);
+};
+
+/**
+ * Completes sign-in when the page was opened from an email link.
+ * A guest account is linked to the email so its houses and photos stay attributed to it.
+ * @returns {Promise<boolean>} - True if an email link was completed.
+ */
+export const completeEmailSignIn = async () => {
+  const link = window.location.href;
+  if (!isSignInWithEmailLink(auth, link)) return false;
+
+  let email = localStorage.getItem(EMAIL_FOR_SIGN_IN_STORAGE_KEY);
+  if (!email) {
+    // The link was opened on a different device than the one that requested it
+    email = window.prompt("Please confirm your email address to finish signing in.");
+    if (!email) return false;
+  }
+
+  await auth.authStateReady();
+
+  if (auth.currentUser?.isAnonymous) {
+    try {
+      await linkWithCredential(auth.currentUser, EmailAuthProvider.credentialWithLink(email, link));
+    } catch (error) {
+      // The email already belongs to another account, so sign in to that one instead
+      if (error.code !== "auth/email-already-in-use" && error.code !== "auth/credential-already-in-use") {
+        throw error;
+      }
+      await signInWithEmailLink(auth, email, link);
+    }
+
+    // Refresh the profile so subscribers see the email and that the user is no longer a guest
+    await auth.currentUser.reload();
+    authListeners.forEach((listener) => listener(auth.currentUser));
+  } else {
+    await signInWithEmailLink(auth, email, link);
+  }
+
+  localStorage.removeItem(EMAIL_FOR_SIGN_IN_STORAGE_KEY);
+
+  // Drop the one-time sign-in parameters from the address bar
+  window.history.replaceState(null, "", window.location.pathname);
+
+  return true;
+};
+
+/**
+ * Sets the name shown on the houses and photos the user adds.
+ * @param {string} displayName - The new display name.
+ */
+export const updateDisplayName = async (displayName) => {
+  await updateProfile(auth.currentUser, { displayName });
+};
+
+/**
+ * Signs out and continues as a new guest.
+ */
+export const signOutUser = async () => {
+  await signOut(auth);
+  await signInAnonymously(auth);
+};
@@ -0,0 +1,9 @@
+/**
+ * Converts a Firestore Timestamp, Date or milliseconds value to milliseconds, e.g. for sorting.
+ * @param {Timestamp|Date|number|null} timestamp - The time, or nothing.
+ * @returns {number} - The milliseconds since the epoch, or 0 when there is no time.
+ */
+export const toMillis = (timestamp) => {
+  if (!timestamp) return 0;
+  return typeof timestamp.toMillis === "function" ? timestamp.toMillis() : new Date(timestamp).getTime();
+};
@@ -0,0 +1,110 @@
+import { collection, getDocs } from "firebase/firestore";
+import { db } from "../firebase";
+import { houseFromSnapshot } from "./schemaUtils";
+import { escapeXml } from "./tourUtils";
+
+// Columns of the CSV export, in order
+const CSV_COLUMNS = ["address", "lat", "lng", "createdAt", "photoCount"];
+
+// Converts a Firestore Timestamp or Date to an ISO 8601 string
+const toIsoString = (timestamp) => {
+  if (!timestamp) return "";
+  const date = typeof timestamp.toDate === "function" ? timestamp.toDate() : new Date(timestamp);
+  return date.toISOString();
+};
+
+/**
+ * Fetches the houses to export: every house with a location that is not hidden, oldest first.
+ * @returns {Promise<Array>} - The houses as { id, address, lat, lng, createdAt, photoCount }.
+ */
+export const fetchExportHouses = async () => {
+  const querySnapshot = await getDocs(collection(db, "houses"));
+
+  return querySnapshot.docs
+    .map((houseDoc) => houseFromSnapshot(houseDoc))
+    .filter((house) => !house.hidden && house.location)
+    .map((house) => ({
+      id: house.id,
+      address: house.address || "",
+      lat: house.location.lat,
+      lng: house.location.lng,
+      createdAt: toIsoString(house.createdAt),
+      photoCount: house.photoCount || 0,
+    }))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+};
+
+/**
+ * Builds a GeoJSON FeatureCollection with one point per house.
+ * @param {Array<Object>} houses - The houses from `fetchExportHouses`.
+ * @returns {string} - The GeoJSON document.
+ */
+export const buildGeoJson = (houses) =>
+  JSON.stringify(
+    {
+      type: "FeatureCollection",
+      features: houses.map((house) => ({
+        type: "Feature",
+        id: house.id,
+        // GeoJSON orders coordinates as longitude, latitude
+        geometry: { type: "Point", coordinates: [house.lng, house.lat] },
+        properties: {
+          address: house.address,
+          createdAt: house.createdAt,
+          photoCount: house.photoCount,
+        },
+      })),
+    },
+    null,
+    2
+  );
+
+/**
+ * Builds a KML document with one placemark per house, for Google My Maps and GPS apps.
+ * @param {Array<Object>} houses - The houses from `fetchExportHouses`.
+ * @returns {string} - The KML XML.
+ */
+export const buildKml = (houses) => {
+  const placemarks = houses
+    .map(
+      (house) => `
+    <Placemark>
+      <name>${escapeXml(house.address)}</name>
+      <description>${escapeXml(`Added ${house.createdAt || "unknown"} · ${house.photoCount} photos`)}</description>
+      <ExtendedData>
+        <Data name="createdAt"><value>${escapeXml(house.createdAt)}</value></Data>
+        <Data name="photoCount"><value>${house.photoCount}</value></Data>
+      </ExtendedData>
+      <Point>
+        <coordinates>${house.lng},${house.lat},0</coordinates>
+      </Point>
+    </Placemark>`
+    )
+    .join("");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>Truckee Lights</name>${placemarks}
+  </Document>
+</kml>
+`;
+};
+
+/**
+ * Quotes a CSV field when it contains a separator, quote or line break.
+ */
+const escapeCsvField = (value) => {
+  const text = String(value ?? "");
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Builds a CSV file with a header row and one row per house.
+ * @param {Array<Object>} houses - The houses from `fetchExportHouses`.
+ * @returns {string} - The CSV text.
+ */
+export const buildCsv = (houses) =>
+  [CSV_COLUMNS, ...houses.map((house) => CSV_COLUMNS.map((column) => house[column]))]
+    .map((row) => row.map(escapeCsvField).join(","))
+    .join("\r\n") + "\r\n";
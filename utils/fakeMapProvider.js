@@ -0,0 +1,217 @@
+// The extension lets scripts/check-map-behavior.mjs import this file with plain Node
+import { MARKER_ICON, createContentElement } from "./mapProvider.js";
+
+// Registers a callback in a set and returns a function that removes it
+const addListener = (listeners, callback) => {
+  listeners.add(callback);
+  return () => listeners.delete(callback);
+};
+
+/**
+ * Creates an in-memory map provider so the map's behavior can be exercised headlessly, as `npm run check:map` does.
+ * Nothing is drawn: each map, marker, info window and shape is a plain object whose fields can be
+ * inspected, and the `simulate*` methods stand in for the visitor. Info window content is only
+ * turned into elements when a `document` exists.
+ * @param {Object} [options] - Canned geocoder answers.
+ * @param {Object} [options.geocodeResults] - Results keyed by address, each an array of { address, location }.
+ *   Unknown addresses return no results.
+ * @param {Function} [options.reverseGeocode] - Returns the results for a location. By default one result
+ *   whose address is the coordinates.
+ * @returns {MapProvider} - The provider; see mapProvider.js for its methods, plus the helpers below.
+ */
+export const createFakeMapProvider = ({ geocodeResults = {}, reverseGeocode } = {}) => {
+  const maps = [];
+
+  // Rough visible bounds: the span halves with each zoom level
+  const getBounds = ({ center, zoom }) => {
+    const latSpan = 180 / 2 ** zoom;
+    const lngSpan = 360 / 2 ** zoom;
+    return {
+      north: center.lat + latSpan,
+      south: center.lat - latSpan,
+      east: center.lng + lngSpan,
+      west: center.lng - lngSpan,
+    };
+  };
+
+  return {
+    name: "fake",
+    geocodeDelayMs: 0,
+
+    load: async () => {},
+
+    createMap: (element, { center, zoom }) => {
+      const map = {
+        element,
+        center,
+        zoom,
+        markers: [],
+        infoWindows: [],
+        shapes: [],
+        clickListeners: new Set(),
+        idleListeners: new Set(),
+      };
+      maps.push(map);
+      return map;
+    },
+
+    onMapClick: (map, callback) => addListener(map.clickListeners, callback),
+    onMapIdle: (map, callback) => addListener(map.idleListeners, callback),
+
+    getZoom: (map) => map.zoom,
+    setZoom: (map, zoom) => {
+      map.zoom = zoom;
+    },
+    panTo: (map, location) => {
+      map.center = { lat: location.lat, lng: location.lng };
+    },
+    fitBounds: (map, bounds) => {
+      map.center = { lat: (bounds.north + bounds.south) / 2, lng: (bounds.east + bounds.west) / 2 };
+    },
+
+    createClusterer: (map) => ({ map, renderCount: 0 }),
+    renderClusterer: (clusterer) => {
+      clusterer.renderCount += 1;
+    },
+
+    createMarker: (map, { position, icon = MARKER_ICON.HOUSE, title = null, onClick = null, clusterer = null }) => {
+      const marker = {
+        map,
+        position: { lat: position.lat, lng: position.lng },
+        icon,
+        title,
+        onClick,
+        clusterer,
+        opacity: 1,
+        draggable: false,
+        highlighted: false,
+        dragEndListeners: new Set(),
+      };
+      map.markers.push(marker);
+      return marker;
+    },
+
+    removeMarker: (marker) => {
+      marker.map.markers = marker.map.markers.filter((m) => m !== marker);
+    },
+
+    getMarkerPosition: (marker) => ({ ...marker.position }),
+    setMarkerPosition: (marker, location) => {
+      marker.position = { lat: location.lat, lng: location.lng };
+    },
+    setMarkerOpacity: (marker, opacity) => {
+      marker.opacity = opacity;
+    },
+    setMarkerDraggable: (marker, draggable) => {
+      marker.draggable = draggable;
+    },
+    setMarkerHighlighted: (marker, highlighted) => {
+      marker.highlighted = highlighted;
+    },
+    onMarkerDragEnd: (marker, callback) => addListener(marker.dragEndListeners, callback),
+
+    createInfoWindow: (map) => {
+      const infoWindow = { map, isOpen: false, content: null, root: null, marker: null, position: null, closeListeners: new Set() };
+      map.infoWindows.push(infoWindow);
+      return infoWindow;
+    },
+
+    openInfoWindow: (infoWindow, { content, marker = null, position = null, onReady }) => {
+      const root = typeof document === "undefined" ? null : createContentElement(content);
+
+      Object.assign(infoWindow, {
+        isOpen: true,
+        content,
+        root,
+        marker,
+        position: marker ? { ...marker.position } : position,
+      });
+
+      if (onReady && root) onReady(root);
+    },
+
+    closeInfoWindow: (infoWindow) => {
+      infoWindow.isOpen = false;
+    },
+
+    onInfoWindowClose: (infoWindow, callback) => addListener(infoWindow.closeListeners, callback),
+
+    createPolyline: (map, path, { color, showDirection = false }) => {
+      const shape = { type: "polyline", map, path, color, showDirection };
+      map.shapes.push(shape);
+      return shape;
+    },
+
+    createCircle: (map, { center, radiusMeters, color }) => {
+      const shape = { type: "circle", map, center, radiusMeters, color };
+      map.shapes.push(shape);
+      return shape;
+    },
+
+    setCircle: (circle, { center, radiusMeters }) => {
+      Object.assign(circle, { center, radiusMeters });
+    },
+
+    removeShape: (shape) => {
+      shape.map.shapes = shape.map.shapes.filter((s) => s !== shape);
+    },
+
+    geocode: async (address) => geocodeResults[address] || [],
+
+    reverseGeocode: async (location) =>
+      reverseGeocode
+        ? reverseGeocode(location)
+        : [{ address: `${location.lat.toFixed(5)}, ${location.lng.toFixed(5)}`, location }],
+
+    attachAutocomplete: () => () => {},
+
+    // Test helpers
+
+    /**
+     * Returns every map created, oldest first.
+     * @returns {Array<Object>} - The maps.
+     */
+    getMaps: () => maps,
+
+    /**
+     * Clicks the map itself at a location.
+     */
+    simulateMapClick: (map, location) => {
+      map.clickListeners.forEach((callback) => callback(location));
+    },
+
+    /**
+     * Lets the map settle, as if a pan or zoom had just finished. Nothing settles on its own.
+     */
+    simulateIdle: (map) => {
+      const bounds = getBounds(map);
+      map.idleListeners.forEach((callback) => callback(bounds));
+    },
+
+    /**
+     * Clicks a marker.
+     */
+    simulateMarkerClick: (marker) => {
+      if (marker.onClick) marker.onClick();
+    },
+
+    /**
+     * Drags a draggable marker to a location and drops it.
+     */
+    simulateMarkerDrag: (marker, location) => {
+      if (!marker.draggable) {
+        throw new Error("The marker is not draggable.");
+      }
+      marker.position = { lat: location.lat, lng: location.lng };
+      marker.dragEndListeners.forEach((callback) => callback({ ...marker.position }));
+    },
+
+    /**
+     * Closes an info window the way a visitor would, with its close button.
+     */
+    simulateInfoWindowClose: (infoWindow) => {
+      infoWindow.isOpen = false;
+      infoWindow.closeListeners.forEach((callback) => callback());
+    },
+  };
+};
@@ -0,0 +1,119 @@
+import { geohashForLocation, geohashQueryBounds, distanceBetween } from "geofire-common";
+import { collection, getDocs, onSnapshot, query, orderBy, startAt, endAt } from "firebase/firestore";
+import { db } from "../firebase";
+import { houseFromSnapshot } from "./schemaUtils";
+
+/**
+ * Computes the geohash stored on a house document.
+ * @param {Object} location - The location ({ lat, lng }).
+ * @returns {string} - The geohash for the location.
+ */
+export const getGeohash = (location) => geohashForLocation([location.lat, location.lng]);
+
+/**
+ * Converts map bounds into the smallest circle that contains them.
+ * @param {Object} bounds - The current map bounds as { north, south, east, west }.
+ * @returns {Object} - The circle as { center: { lat, lng }, radiusMeters }.
+ */
+export const getBoundsCircle = (bounds) => {
+  // Bounds that cross the antimeridian have west > east
+  const east = bounds.west <= bounds.east ? bounds.east : bounds.east + 360;
+  const centerLng = (bounds.west + east) / 2;
+  const center = {
+    lat: (bounds.north + bounds.south) / 2,
+    lng: centerLng > 180 ? centerLng - 360 : centerLng,
+  };
+  const radiusKm = distanceBetween([center.lat, center.lng], [bounds.north, bounds.east]);
+
+  return { center, radiusMeters: radiusKm * 1000 };
+};
+
+// Geohash ranges either nest or are disjoint, so containment is the only overlap
+const containsRange = ([outerStart, outerEnd], [start, end]) => outerStart <= start && end <= outerEnd;
+
+/**
+ * Listens in real time to the houses within a circle using geohash range queries.
+ * Ranges already covered by an entry in `subscriptions` are skipped, and new
+ * listeners are added to it. Listeners for ranges nested inside a new range are
+ * stopped, since the new listener covers them.
+ * @param {Object} center - The center of the circle ({ lat, lng }).
+ * @param {number} radiusMeters - The radius of the circle in meters.
+ * @param {Array<Object>} subscriptions - Active listeners as { range, unsubscribe }.
+ * @param {Function} onChanges - Called with the changes ({ type, house }) and the range they came from.
+ */
+export const subscribeToHousesInRadius = (center, radiusMeters, subscriptions, onChanges) => {
+  const ranges = geohashQueryBounds([center.lat, center.lng], radiusMeters).filter(
+    (range) => !subscriptions.some((subscription) => containsRange(subscription.range, range))
+  );
+
+  ranges.forEach((range) => {
+    const [start, end] = range;
+
+    // Stop listeners that the new range makes redundant
+    for (let i = subscriptions.length - 1; i >= 0; i--) {
+      if (containsRange(range, subscriptions[i].range)) {
+        subscriptions[i].unsubscribe();
+        subscriptions.splice(i, 1);
+      }
+    }
+
+    const unsubscribe = onSnapshot(
+      query(collection(db, "houses"), orderBy("geohash"), startAt(start), endAt(end)),
+      (snapshot) => {
+        const changes = snapshot.docChanges().map((change) => ({
+          type: change.type,
+          // Estimate pending server timestamps so local adds sort correctly
+          house: houseFromSnapshot(change.doc, { serverTimestamps: "estimate" }),
+        }));
+        onChanges(changes, range);
+      },
+      (error) => {
+        console.error("Error listening to houses in view:", error);
+      }
+    );
+
+    subscriptions.push({ range, unsubscribe });
+  });
+};
+
+/**
+ * Fetches the houses within a small radius of a location, closest first.
+ * @param {Object} location - The location to search around ({ lat, lng }).
+ * @param {number} radiusMeters - The search radius in meters.
+ * @returns {Promise<Array>} - The houses found, each with its `distanceMeters`.
+ */
+export const fetchHousesNear = async (location, radiusMeters) => {
+  const center = [location.lat, location.lng];
+  const snapshots = await Promise.all(
+    geohashQueryBounds(center, radiusMeters).map(([start, end]) =>
+      getDocs(query(collection(db, "houses"), orderBy("geohash"), startAt(start), endAt(end)))
+    )
+  );
+
+  // Geohash ranges cover a square, so drop the houses outside the circle
+  return snapshots
+    .flatMap((snapshot) => snapshot.docs.map((doc) => houseFromSnapshot(doc)))
+    .filter((house) => house.location)
+    .map((house) => ({
+      ...house,
+      distanceMeters: distanceBetween(center, [house.location.lat, house.location.lng]) * 1000,
+    }))
+    .filter((house) => house.distanceMeters <= radiusMeters)
+    .sort((a, b) => a.distanceMeters - b.distanceMeters);
+};
+
+/**
+ * Checks whether a location lies inside map bounds.
+ * @param {Object} location - The location ({ lat, lng }).
+ * @param {Object} bounds - The bounds as { north, south, east, west }.
+ * @returns {boolean} - True if the location is inside the bounds.
+ */
+export const isInBounds = (location, bounds) => {
+  const inLatitude = location.lat <= bounds.north && location.lat >= bounds.south;
+  // Bounds that cross the antimeridian have west > east
+  const inLongitude = bounds.west <= bounds.east
+    ? location.lng >= bounds.west && location.lng <= bounds.east
+    : location.lng >= bounds.west || location.lng <= bounds.east;
+
+  return inLatitude && inLongitude;
+};
@@ -0,0 +1,252 @@
+import { Loader } from "@googlemaps/js-api-loader";
+import { MarkerClusterer, SuperClusterAlgorithm } from "@googlemaps/markerclusterer";
+import { CLUSTER_MAX_ZOOM, MARKER_ICON, USER_POSITION_COLOR, createContentElement, getClusterBadge } from "./mapProvider";
+
+/**
+ * Builds the icon of a marker.
+ */
+const getMarkerIcon = (icon) => {
+  if (icon === MARKER_ICON.USER) {
+    return {
+      path: google.maps.SymbolPath.CIRCLE,
+      scale: 8,
+      fillColor: USER_POSITION_COLOR,
+      fillOpacity: 1,
+      strokeColor: "#ffffff",
+      strokeWeight: 2,
+    };
+  }
+
+  // SVG data URL for the emoji 🎄 (Christmas Tree)
+  return {
+    url:
+      "data:image/svg+xml;charset=UTF-8," +
+      encodeURIComponent(`
+        <svg xmlns="http://www.w3.org/2000/svg" width="32" height="32">
+          <text x="16" y="24" text-anchor="middle" font-size="24">&#127876;</text>
+        </svg>
+      `),
+    scaledSize: new google.maps.Size(32, 32), // Adjust size as needed
+    anchor: new google.maps.Point(16, 32), // Anchor point of the icon
+  };
+};
+
+/**
+ * Renders a cluster as a festive badge showing how many houses it contains.
+ * @param {Object} cluster - The cluster with its `count` and `position`.
+ * @returns {google.maps.Marker} - The marker drawn for the cluster.
+ */
+const renderClusterBadge = ({ count, position }) => {
+  const { svg, size } = getClusterBadge(count);
+
+  return new google.maps.Marker({
+    position,
+    icon: {
+      url: "data:image/svg+xml;charset=UTF-8," + encodeURIComponent(svg),
+      scaledSize: new google.maps.Size(size, size),
+      anchor: new google.maps.Point(size / 2, size / 2),
+    },
+    title: `${count} houses`,
+    // Draw larger clusters above smaller ones and above single houses
+    zIndex: Number(google.maps.Marker.MAX_ZINDEX) + count,
+  });
+};
+
+/**
+ * Runs a geocoder request and maps the results to { address, location }.
+ */
+const runGeocoder = async (request) => {
+  try {
+    const { results } = await new google.maps.Geocoder().geocode(request);
+    return results.map((result) => ({
+      address: result.formatted_address,
+      location: result.geometry.location.toJSON(),
+    }));
+  } catch (error) {
+    // The geocoder rejects with ZERO_RESULTS when nothing matches
+    if (error.code === "ZERO_RESULTS") return [];
+    throw error;
+  }
+};
+
+// Wraps a Google listener so callers can remove it without knowing the API
+const toRemover = (listener) => () => listener.remove();
+
+/**
+ * Creates the map provider backed by the Google Maps JavaScript API.
+ * Uses the key in NEXT_PUBLIC_GOOGLE_MAPS_API_KEY.
+ * @returns {MapProvider} - The provider; see mapProvider.js for its methods.
+ */
+export const createGoogleMapProvider = () => {
+  // Clusterer that owns each clustered marker
+  const markerClusterers = new WeakMap();
+
+  return {
+    name: "google",
+    geocodeDelayMs: 200, // Stays under the geocoding API's rate limit
+
+    load: async () => {
+      await new Loader({
+        apiKey: process.env.NEXT_PUBLIC_GOOGLE_MAPS_API_KEY,
+        version: "weekly",
+        libraries: ["places"],
+      }).load();
+    },
+
+    createMap: (element, { center, zoom }) => new google.maps.Map(element, { center, zoom }),
+
+    onMapClick: (map, callback) => toRemover(map.addListener("click", (event) => callback(event.latLng.toJSON()))),
+
+    onMapIdle: (map, callback) => toRemover(map.addListener("idle", () => callback(map.getBounds()?.toJSON() ?? null))),
+
+    getZoom: (map) => map.getZoom(),
+    setZoom: (map, zoom) => map.setZoom(zoom),
+    panTo: (map, location) => map.panTo(location),
+    fitBounds: (map, bounds) => map.fitBounds(bounds),
+
+    // Clicking a cluster zooms the map to the cluster's bounds
+    createClusterer: (map) =>
+      new MarkerClusterer({
+        map,
+        algorithm: new SuperClusterAlgorithm({ maxZoom: CLUSTER_MAX_ZOOM, radius: 60 }),
+        renderer: { render: renderClusterBadge },
+        onClusterClick: (event, cluster, clusterMap) => {
+          if (cluster.bounds) {
+            clusterMap.fitBounds(cluster.bounds);
+          }
+        },
+      }),
+
+    renderClusterer: (clusterer) => clusterer.render(),
+
+    createMarker: (map, { position, icon = MARKER_ICON.HOUSE, title, onClick, clusterer }) => {
+      const marker = new google.maps.Marker({
+        position,
+        map: clusterer ? null : map,
+        icon: getMarkerIcon(icon),
+        title,
+        // Keep the visitor's dot above the houses
+        zIndex: icon === MARKER_ICON.USER ? google.maps.Marker.MAX_ZINDEX + 1 : undefined,
+        clickable: Boolean(onClick),
+      });
+
+      if (onClick) {
+        marker.addListener("click", onClick);
+      }
+
+      // Skip redrawing so the caller can recluster once per batch of markers
+      if (clusterer) {
+        clusterer.addMarker(marker, true);
+        markerClusterers.set(marker, clusterer);
+      }
+
+      return marker;
+    },
+
+    removeMarker: (marker) => {
+      markerClusterers.get(marker)?.removeMarker(marker, true);
+      markerClusterers.delete(marker);
+      marker.setMap(null);
+    },
+
+    getMarkerPosition: (marker) => marker.getPosition().toJSON(),
+    setMarkerPosition: (marker, location) => marker.setPosition(location),
+    setMarkerOpacity: (marker, opacity) => marker.setOpacity(opacity),
+
+    setMarkerDraggable: (marker, draggable) => {
+      const clusterer = markerClusterers.get(marker);
+
+      // Take the marker out of its cluster while dragged, and put it back afterwards
+      if (clusterer && draggable) {
+        clusterer.removeMarker(marker, true);
+        clusterer.render();
+        marker.setMap(clusterer.getMap());
+      } else if (clusterer) {
+        marker.setMap(null);
+        clusterer.addMarker(marker);
+      }
+
+      marker.setDraggable(draggable);
+    },
+
+    setMarkerHighlighted: (marker, highlighted) =>
+      marker.setAnimation(highlighted ? google.maps.Animation.BOUNCE : null),
+
+    onMarkerDragEnd: (marker, callback) =>
+      toRemover(marker.addListener("dragend", () => callback(marker.getPosition().toJSON()))),
+
+    createInfoWindow: (map) => ({ map, infoWindow: new google.maps.InfoWindow() }),
+
+    openInfoWindow: ({ map, infoWindow }, { content, marker, position, onReady }) => {
+      const root = createContentElement(content);
+
+      if (onReady) {
+        google.maps.event.addListenerOnce(infoWindow, "domready", () => onReady(root));
+      }
+      infoWindow.setContent(root);
+
+      // A clustered marker is not on the map, so open at its position instead
+      if (marker && marker.getMap()) {
+        infoWindow.open({ map, anchor: marker });
+      } else {
+        infoWindow.setPosition(marker ? marker.getPosition() : position);
+        infoWindow.open(map);
+      }
+    },
+
+    closeInfoWindow: ({ infoWindow }) => infoWindow.close(),
+
+    onInfoWindowClose: ({ infoWindow }, callback) => toRemover(infoWindow.addListener("closeclick", callback)),
+
+    createPolyline: (map, path, { color, showDirection = false }) =>
+      new google.maps.Polyline({
+        path,
+        map,
+        strokeColor: color,
+        strokeOpacity: 0.9,
+        strokeWeight: 4,
+        icons: showDirection
+          ? [{ icon: { path: google.maps.SymbolPath.FORWARD_CLOSED_ARROW, scale: 3 }, offset: "0", repeat: "120px" }]
+          : [],
+      }),
+
+    createCircle: (map, { center, radiusMeters, color }) =>
+      new google.maps.Circle({
+        map,
+        center,
+        radius: radiusMeters,
+        fillColor: color,
+        fillOpacity: 0.15,
+        strokeColor: color,
+        strokeOpacity: 0.4,
+        strokeWeight: 1,
+        clickable: false,
+      }),
+
+    setCircle: (circle, { center, radiusMeters }) => {
+      circle.setCenter(center);
+      circle.setRadius(radiusMeters);
+    },
+
+    removeShape: (shape) => shape.setMap(null),
+
+    geocode: (address) => runGeocoder({ address }),
+    reverseGeocode: (location) => runGeocoder({ location }),
+
+    attachAutocomplete: (input, callback) => {
+      const autocomplete = new google.maps.places.Autocomplete(input, {
+        types: ["address"],
+        componentRestrictions: { country: "us" },
+      });
+
+      return toRemover(
+        autocomplete.addListener("place_changed", () => {
+          const place = autocomplete.getPlace();
+          if (place && place.formatted_address) {
+            callback(place.formatted_address);
+          }
+        })
+      );
+    },
+  };
+};
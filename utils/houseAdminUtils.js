@@ -0,0 +1,176 @@
+import { collection, deleteDoc, doc, getDocs, runTransaction, setDoc, updateDoc, writeBatch } from "firebase/firestore";
+import { getBytes, getDownloadURL, getMetadata, listAll, ref, uploadBytes } from "firebase/storage";
+import { db, storage } from "../firebase";
+import { normalizeAddress } from "./addressUtils";
+import { getGeohash } from "./geoUtils";
+import { deleteStorageFile, refreshHousePhotoStats } from "./moderationUtils";
+import { REPORT_RESOLUTION, resolveOpenReportsForHouse } from "./reportUtils";
+import { getPhotoStoragePaths, houseFromSnapshot, normalizeHouse, photoFromSnapshot, toPhotoDocument, validateHouseUpdate } from "./schemaUtils";
+
+// Firestore allows at most 500 writes in one batch
+const MAX_BATCH_SIZE = 500;
+
+// Subcollections stored under each house document
+const HOUSE_SUBCOLLECTIONS = ["photos", "ratings"];
+
+/**
+ * Fetches every house, including hidden ones, sorted by address.
+ * @returns {Promise<Array>} - The houses, each with its `id`.
+ */
+export const fetchAllHouses = async () => {
+  const querySnapshot = await getDocs(collection(db, "houses"));
+
+  return querySnapshot.docs
+    .map((houseDoc) => houseFromSnapshot(houseDoc))
+    .sort((a, b) => (a.address || "").localeCompare(b.address || ""));
+};
+
+/**
+ * Corrects the address and location of a house, keeping its derived fields in step.
+ * @param {string} houseId - The ID of the house.
+ * @param {Object} details - The new { address, location }.
+ * @returns {Promise<Object>} - The fields written.
+ */
+export const updateHouseDetails = async (houseId, { address, location }) => {
+  const changes = {
+    address,
+    normalizedAddress: normalizeAddress(address),
+    location,
+    geohash: getGeohash(location),
+  };
+
+  await updateDoc(doc(db, "houses", houseId), validateHouseUpdate(changes));
+  return changes;
+};
+
+/**
+ * Deletes every document in a subcollection of a house.
+ */
+const deleteSubcollection = async (houseId, name) => {
+  const querySnapshot = await getDocs(collection(db, "houses", houseId, name));
+
+  for (let i = 0; i < querySnapshot.docs.length; i += MAX_BATCH_SIZE) {
+    const batch = writeBatch(db);
+    querySnapshot.docs.slice(i, i + MAX_BATCH_SIZE).forEach((subDoc) => batch.delete(subDoc.ref));
+    await batch.commit();
+  }
+};
+
+/**
+ * Deletes every file under a Storage folder, including nested folders such as thumbs/.
+ */
+const deleteStorageFolder = async (folderPath) => {
+  const { items, prefixes } = await listAll(ref(storage, folderPath));
+
+  await Promise.all(items.map((itemRef) => deleteStorageFile(itemRef.fullPath)));
+  await Promise.all(prefixes.map((prefixRef) => deleteStorageFolder(prefixRef.fullPath)));
+};
+
+/**
+ * Deletes a house along with its photos and ratings and its files under `houses/{id}/photos/` in Storage.
+ * @param {string} houseId - The ID of the house.
+ */
+export const deleteHouse = async (houseId) => {
+  // Files go first, so a failure part way leaves the house in place to retry
+  await deleteStorageFolder(`houses/${houseId}/photos`);
+  await Promise.all(HOUSE_SUBCOLLECTIONS.map((name) => deleteSubcollection(houseId, name)));
+  await deleteDoc(doc(db, "houses", houseId));
+};
+
+/**
+ * Copies a Storage file to a new path.
+ * @returns {Promise<Object>} - The new file as { storagePath, downloadURL }.
+ */
+const copyStorageFile = async (fromPath, toPath) => {
+  const fromRef = ref(storage, fromPath);
+  const [bytes, metadata] = await Promise.all([getBytes(fromRef), getMetadata(fromRef)]);
+
+  const toRef = ref(storage, toPath);
+  await uploadBytes(toRef, bytes, { contentType: metadata.contentType });
+
+  return { storagePath: toRef.fullPath, downloadURL: await getDownloadURL(toRef) };
+};
+
+/**
+ * Merges a duplicate house into the one being kept, then deletes the duplicate.
+ * Its photos and their Storage files move to the kept house, along with the votes of visitors
+ * who had not rated the kept house. Its seasons and tags are added to the kept house's, its
+ * schedule and FM frequency fill in any the kept house lacks, and open reports about it are resolved.
+ * @param {Object} keptHouse - The house that stays, with its `id`.
+ * @param {Object} duplicateHouse - The house merged away, with its `id`.
+ * @returns {Promise<Object>} - The merge as { movedCount, changes }, where `movedCount` is the
+ *   number of photos moved and `changes` holds the kept house's updated fields.
+ */
+export const mergeHouses = async (keptHouse, duplicateHouse) => {
+  if (keptHouse.id === duplicateHouse.id) {
+    throw new Error("A house cannot be merged into itself.");
+  }
+
+  const photosSnapshot = await getDocs(collection(db, "houses", duplicateHouse.id, "photos"));
+
+  for (const photoDoc of photosSnapshot.docs) {
+    const { id, schemaVersion, ...photo } = photoFromSnapshot(photoDoc);
+    // The photo keeps its ID, so its files are named as if it had been uploaded to the kept house
+    const paths = getPhotoStoragePaths(keptHouse.id, photoDoc.id, photo.storagePath);
+
+    const fullSize = await copyStorageFile(photo.storagePath, paths.storagePath);
+    const thumbnail = photo.thumbnailStoragePath
+      ? await copyStorageFile(photo.thumbnailStoragePath, paths.thumbnailStoragePath)
+      : null;
+
+    await setDoc(doc(db, "houses", keptHouse.id, "photos", photoDoc.id), toPhotoDocument({
+      ...photo,
+      downloadURL: fullSize.downloadURL,
+      storagePath: fullSize.storagePath,
+      thumbnailURL: thumbnail?.downloadURL ?? null,
+      thumbnailStoragePath: thumbnail?.storagePath ?? null,
+    }));
+  }
+
+  const [keptRatingsSnapshot, duplicateRatingsSnapshot] = await Promise.all([
+    getDocs(collection(db, "houses", keptHouse.id, "ratings")),
+    getDocs(collection(db, "houses", duplicateHouse.id, "ratings")),
+  ]);
+  // A visitor who rated both houses keeps their vote on the kept house
+  const keptRaterIds = new Set(keptRatingsSnapshot.docs.map((ratingDoc) => ratingDoc.id));
+  const movedRatings = duplicateRatingsSnapshot.docs.filter((ratingDoc) => !keptRaterIds.has(ratingDoc.id));
+
+  // Moved votes and the aggregate they change are written together, so a retry cannot count them twice
+  const keptHouseRef = doc(db, "houses", keptHouse.id);
+  const changes = await runTransaction(db, async (transaction) => {
+    const keptSnap = await transaction.get(keptHouseRef);
+    if (!keptSnap.exists()) {
+      throw new Error("The kept house no longer exists.");
+    }
+
+    const kept = normalizeHouse(keptSnap.data());
+    const ratingCount = kept.ratingCount + movedRatings.length;
+    const ratingSum = movedRatings.reduce((sum, ratingDoc) => sum + ratingDoc.data().stars, kept.ratingSum);
+
+    const keptChanges = {
+      // The kept house's own confirmations win where both have one for a season
+      seasons: { ...duplicateHouse.seasons, ...kept.seasons },
+      tags: [...new Set([...kept.tags, ...(duplicateHouse.tags || [])])],
+      musicFrequency: kept.musicFrequency ?? duplicateHouse.musicFrequency ?? null,
+      schedule: kept.schedule ?? duplicateHouse.schedule ?? null,
+      ratingCount,
+      ratingSum,
+      ratingAverage: ratingCount > 0 ? ratingSum / ratingCount : 0,
+    };
+
+    movedRatings.forEach((ratingDoc) => {
+      transaction.set(doc(db, "houses", keptHouse.id, "ratings", ratingDoc.id), ratingDoc.data());
+    });
+    transaction.update(keptHouseRef, validateHouseUpdate(keptChanges));
+
+    return keptChanges;
+  });
+
+  // Counted from the kept house's photos rather than added to, since a retried merge copies the same photos again
+  const photoStats = await refreshHousePhotoStats(keptHouse.id);
+
+  await deleteHouse(duplicateHouse.id);
+  await resolveOpenReportsForHouse(duplicateHouse.id, REPORT_RESOLUTION.MERGED);
+
+  return { movedCount: photosSnapshot.size, changes: { ...changes, ...photoStats } };
+};
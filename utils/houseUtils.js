@@ -0,0 +1,93 @@
+import { addDoc, collection, getDocs, query, serverTimestamp, where } from "firebase/firestore";
+import { db } from "../firebase";
+import { normalizeAddress } from "./addressUtils";
+import { ensureSignedIn } from "./authUtils";
+import { fetchHousesNear, getGeohash } from "./geoUtils";
+import { houseFromSnapshot, toHouseDocument } from "./schemaUtils";
+import { createSeasonConfirmation, getSeasonForDate } from "./seasonUtils";
+import { sanitizeTags } from "./tagUtils";
+
+// Existing houses closer than this to a new one are treated as likely duplicates
+export const DUPLICATE_RADIUS_METERS = 15;
+
+/**
+ * Finds an existing house that is likely the same as a new one.
+ * A house matches when its normalized address is the same or it sits within
+ * a few meters of the new location. Whenever the normalization rules change,
+ * `npm run backfill:normalized-addresses` brings stored addresses in line so they keep matching.
+ * @param {string} normalizedAddress - The normalized address of the new house.
+ * @param {Object} location - The latitude and longitude of the new house.
+ * @returns {Promise<Object|null>} - The matching house, or null if there is none.
+ */
+export const findDuplicateHouse = async (normalizedAddress, location) => {
+  if (!normalizedAddress) {
+    console.error("Normalized address is undefined or null.");
+    return null;
+  }
+
+  try {
+    const q = query(
+      collection(db, "houses"),
+      where("normalizedAddress", "==", normalizedAddress)
+    );
+    const querySnapshot = await getDocs(q);
+    if (!querySnapshot.empty) {
+      const houseDoc = querySnapshot.docs[0];
+      return houseFromSnapshot(houseDoc);
+    }
+
+    const [nearestHouse] = await fetchHousesNear(location, DUPLICATE_RADIUS_METERS);
+    return nearestHouse || null;
+  } catch (error) {
+    console.error("Error checking house existence: ", error);
+    return null;
+  }
+};
+
+/**
+ * Adds a house to Firestore, attributed to the current (possibly anonymous) user.
+ * Callers are expected to have run `findDuplicateHouse` first.
+ * @param {string} address - The address of the house.
+ * @param {Object} location - The latitude and longitude of the house.
+ * @param {Object} [details] - Optional details.
+ * @param {Array<string>} [details.tags] - The display tags.
+ * @param {string|number|null} [details.musicFrequency] - The FM frequency for displays synced to music.
+ * @returns {Promise<Object>} - The new house as it can be shown before the listener reports it.
+ */
+export const createHouse = async (address, location, { tags = [], musicFrequency = null } = {}) => {
+  const user = await ensureSignedIn();
+
+  const houseData = {
+    address: address,
+    normalizedAddress: normalizeAddress(address), // Store normalized address
+    location: location,
+    geohash: getGeohash(location), // Used for viewport queries
+    ratingAverage: 0, // Running average of visitor ratings
+    ratingCount: 0,
+    ratingSum: 0, // Total stars, kept so the average never drifts
+    photoCount: 0, // Approved photos, counted as they are moderated
+    coverThumbnailURL: null,
+    ...sanitizeTags(tags, musicFrequency), // Display tags and FM frequency
+    createdBy: user.uid,
+    createdByName: user.displayName || null,
+  };
+
+  // A new house counts as confirmed lit for the current season
+  const currentSeason = getSeasonForDate();
+
+  // Add to Firestore, checked against the house schema
+  const docRef = await addDoc(collection(db, "houses"), toHouseDocument({
+    ...houseData,
+    seasons: { [currentSeason]: createSeasonConfirmation(user.uid) },
+    createdAt: serverTimestamp(), // Use serverTimestamp for accurate timing
+  }));
+
+  console.log("Document written with ID: ", docRef.id);
+
+  return {
+    id: docRef.id,
+    ...houseData,
+    seasons: { [currentSeason]: { confirmedAt: new Date(), confirmedBy: user.uid } },
+    createdAt: new Date(), // Optionally, fetch the actual timestamp from Firestore
+  };
+};
@@ -1,5 +1,3 @@
-import { readAndCompressImage } from 'browser-image-resizer';
-
 const imageConfig = {
   quality: 0.7,          // Adjust the quality level (0 to 1)
   maxWidth: 800,         // Maximum width of the resized image
@@ -8,19 +6,31 @@ const imageConfig = {
   debug: false,          // Set to true for debugging
 };
 
+// Twice the 80px InfoWindow strip, so thumbnails stay sharp on high-DPI screens
+const THUMBNAIL_SIZE = 160;
+
 /**
  * Compresses and resizes an image file.
  * @param {File} imageFile - The original image file.
+ * @param {Object} [size] - The bounding box to fit the image in, defaulting to the full-size 800px.
+ * @param {number} [size.maxWidth] - Maximum width of the resized image.
+ * @param {number} [size.maxHeight] - Maximum height of the resized image.
  * @returns {Promise<File>} The resized and compressed image file.
  */
-export const resizeImage = async (imageFile) => {
+export const resizeImage = async (
+  imageFile,
+  { maxWidth = imageConfig.maxWidth, maxHeight = imageConfig.maxHeight } = {}
+) => {
   let quality = 0.7;
   let resizedImage;
   const MAX_SIZE_BYTES = 5 * 1024 * 1024; // 5 MB
 
+  // Loaded on demand because the resizer touches browser globals when imported during prerendering
+  const { readAndCompressImage } = await import('browser-image-resizer');
+
   while (quality > 0.1) { // Prevent quality from going too low
     try {
-      const resizedImageBlob = await readAndCompressImage(imageFile, { ...imageConfig, quality });
+      const resizedImageBlob = await readAndCompressImage(imageFile, { ...imageConfig, maxWidth, maxHeight, quality });
       const tempImage = new File([resizedImageBlob], imageFile.name, {
         type: imageFile.type,
         lastModified: Date.now(),
@@ -44,3 +54,17 @@ export const resizeImage = async (imageFile) => {
 
   return resizedImage;
 };
+
+/**
+ * Creates the full-size and thumbnail versions of an image for upload.
+ * @param {File} imageFile - The original image file.
+ * @returns {Promise<Object>} The versions as { fullSize, thumbnail }.
+ */
+export const createImageDerivatives = async (imageFile) => {
+  const [fullSize, thumbnail] = await Promise.all([
+    resizeImage(imageFile),
+    resizeImage(imageFile, { maxWidth: THUMBNAIL_SIZE, maxHeight: THUMBNAIL_SIZE }),
+  ]);
+
+  return { fullSize, thumbnail };
+};
@@ -0,0 +1,210 @@
+import { normalizeAddress } from "./addressUtils";
+import { DUPLICATE_RADIUS_METERS, createHouse, findDuplicateHouse } from "./houseUtils";
+import { getMapProvider } from "./mapUtils";
+import { DISPLAY_TAGS } from "./tagUtils";
+import { haversineDistance } from "./tourUtils";
+
+// Outcome of checking one CSV row
+export const IMPORT_STATUS = {
+  NEW: "new",
+  DUPLICATE: "duplicate",
+  ERROR: "error",
+  IMPORTED: "imported",
+};
+
+// Header names accepted for each column, lowercased
+const COLUMN_ALIASES = {
+  address: ["address", "street address", "full address"],
+  lat: ["lat", "latitude"],
+  lng: ["lng", "lon", "long", "longitude"],
+  tags: ["tags"],
+};
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Parses CSV text into rows of fields, honoring quoted fields with commas, quotes and line breaks.
+ * @param {string} text - The CSV text.
+ * @returns {Array<Array<string>>} - The rows, without blank lines.
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  // Drop a byte order mark left by spreadsheet programs
+  const input = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  row.push(field);
+  rows.push(row);
+
+  return rows.filter((r) => r.some((value) => value.trim() !== ""));
+};
+
+/**
+ * Reads house rows from a CSV file with a header row.
+ * An `address` column is required; `lat`/`lng` skip geocoding and `tags` takes tag IDs or labels separated by semicolons.
+ * @param {string} text - The CSV text.
+ * @returns {Array<Object>} - The rows as { line, address, location, tags }.
+ * @throws {Error} - If the file has no address column.
+ */
+export const parseHouseCsv = (text) => {
+  const [header = [], ...records] = parseCsv(text);
+  const headerNames = header.map((name) => name.trim().toLowerCase());
+  const columnIndex = (column) => headerNames.findIndex((name) => COLUMN_ALIASES[column].includes(name));
+
+  const addressIndex = columnIndex("address");
+  if (addressIndex === -1) {
+    throw new Error("The CSV needs an \"address\" column.");
+  }
+  const latIndex = columnIndex("lat");
+  const lngIndex = columnIndex("lng");
+  const tagsIndex = columnIndex("tags");
+
+  return records.map((record, index) => {
+    const lat = latIndex === -1 ? NaN : parseFloat(record[latIndex]);
+    const lng = lngIndex === -1 ? NaN : parseFloat(record[lngIndex]);
+    const tagNames = tagsIndex === -1 ? [] : (record[tagsIndex] || "").split(";").map((tag) => tag.trim().toLowerCase());
+
+    return {
+      line: index + 2, // Spreadsheet line number, counting the header
+      address: (record[addressIndex] || "").trim(),
+      location: Number.isNaN(lat) || Number.isNaN(lng) ? null : { lat, lng },
+      tags: DISPLAY_TAGS
+        .filter((tag) => tagNames.includes(tag.id.toLowerCase()) || tagNames.includes(tag.label.toLowerCase()))
+        .map((tag) => tag.id),
+    };
+  });
+};
+
+/**
+ * Geocodes an address with the configured map provider.
+ * @param {string} address - The address to look up.
+ * @returns {Promise<Object|null>} - The result as { address, location }, or null if nothing was found.
+ */
+export const geocodeAddress = async (address) => {
+  const provider = getMapProvider();
+  await provider.load();
+
+  const [result] = await provider.geocode(address);
+  return result ?? null;
+};
+
+/**
+ * Geocodes each row and runs the same duplicate checks as adding a house on the map,
+ * without writing anything. Rows that repeat an earlier row in the file count as duplicates too.
+ * @param {Array<Object>} rows - The rows from `parseHouseCsv`.
+ * @param {Function} [onProgress] - Called with the number of rows checked so far.
+ * @returns {Promise<Array<Object>>} - Each row with its `status`, `message`, resolved `address` and `location`.
+ */
+export const dryRunImport = async (rows, onProgress = () => {}) => {
+  const results = [];
+
+  for (const row of rows) {
+    let result;
+
+    if (!row.address) {
+      result = { ...row, status: IMPORT_STATUS.ERROR, message: "Missing address" };
+    } else {
+      try {
+        let resolved = { address: row.address, location: row.location };
+        if (!row.location) {
+          resolved = await geocodeAddress(row.address);
+          // Pause between requests to stay under the geocoder's rate limit
+          await wait(getMapProvider().geocodeDelayMs);
+        }
+
+        if (!resolved) {
+          result = { ...row, status: IMPORT_STATUS.ERROR, message: "Address not found" };
+        } else {
+          const normalizedAddress = normalizeAddress(resolved.address);
+          const earlierRow = results.find(
+            (r) =>
+              r.status === IMPORT_STATUS.NEW &&
+              (r.normalizedAddress === normalizedAddress ||
+                haversineDistance(r.location, resolved.location) <= DUPLICATE_RADIUS_METERS)
+          );
+          const duplicate = earlierRow ? null : await findDuplicateHouse(normalizedAddress, resolved.location);
+
+          result = {
+            ...row,
+            ...resolved,
+            normalizedAddress,
+            status: earlierRow || duplicate ? IMPORT_STATUS.DUPLICATE : IMPORT_STATUS.NEW,
+            message: earlierRow
+              ? `Same as line ${earlierRow.line}`
+              : duplicate
+                ? `Already on the map as ${duplicate.address}${duplicate.hidden ? " (hidden)" : ""}`
+                : "Ready to import",
+          };
+        }
+      } catch (error) {
+        console.error(`Error checking import line ${row.line}:`, error);
+        result = { ...row, status: IMPORT_STATUS.ERROR, message: "Geocoding failed" };
+      }
+    }
+
+    results.push(result);
+    onProgress(results.length);
+  }
+
+  return results;
+};
+
+/**
+ * Adds the rows a dry run marked as new.
+ * @param {Array<Object>} results - The results from `dryRunImport`.
+ * @param {Function} [onProgress] - Called with each row once it has been handled.
+ * @returns {Promise<Array<Object>>} - The results, with imported rows marked IMPORTED and failures marked ERROR.
+ */
+export const importHouses = async (results, onProgress = () => {}) => {
+  const imported = [];
+
+  for (const result of results) {
+    let outcome = result;
+
+    if (result.status === IMPORT_STATUS.NEW) {
+      try {
+        const house = await createHouse(result.address, result.location, { tags: result.tags });
+        outcome = { ...result, status: IMPORT_STATUS.IMPORTED, message: `Added as ${house.id}` };
+      } catch (error) {
+        console.error(`Error importing line ${result.line}:`, error);
+        outcome = { ...result, status: IMPORT_STATUS.ERROR, message: "Could not be saved" };
+      }
+    }
+
+    imported.push(outcome);
+    onProgress(outcome);
+  }
+
+  return imported;
+};
@@ -0,0 +1,261 @@
+import { CLUSTER_MAX_ZOOM, MARKER_ICON, USER_POSITION_COLOR, createContentElement, getClusterBadge } from "./mapProvider";
+
+export const DEFAULT_TILE_URL = "https://tile.openstreetmap.org/{z}/{x}/{y}.png";
+export const DEFAULT_GEOCODER_URL = "https://nominatim.openstreetmap.org";
+
+const OSM_ATTRIBUTION = '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors';
+
+// Plain { lat, lng } from a Leaflet LatLng
+const toLocation = (latLng) => ({ lat: latLng.lat, lng: latLng.lng });
+
+/**
+ * Builds a readable address from a Nominatim result, in the same shape as Google's
+ * ("10100 Main St, Truckee, California 96161, USA") so address matching treats both alike.
+ */
+const formatNominatimAddress = ({ address: parts, display_name: displayName }) => {
+  if (!parts || !parts.road) return displayName;
+
+  const street = [parts.house_number, parts.road].filter(Boolean).join(" ");
+  const city = parts.city || parts.town || parts.village || parts.hamlet;
+  const region = [parts.state, parts.postcode].filter(Boolean).join(" ");
+
+  return [street, city, region, parts.country_code === "us" ? "USA" : parts.country].filter(Boolean).join(", ");
+};
+
+const toGeocodeResult = (result) => ({
+  address: formatNominatimAddress(result),
+  location: { lat: Number(result.lat), lng: Number(result.lon) },
+});
+
+/**
+ * Creates the map provider backed by Leaflet, drawing OpenStreetMap tiles and geocoding
+ * with a Nominatim-compatible service. Markers are clustered with Leaflet.markercluster.
+ * @param {Object} [options] - Where tiles and addresses come from.
+ * @param {string} [options.tileUrl] - Tile URL template with {z}, {x} and {y}.
+ * @param {string} [options.geocoderUrl] - Base URL of the Nominatim-compatible geocoder.
+ * @returns {MapProvider} - The provider; see mapProvider.js for its methods.
+ */
+export const createLeafletMapProvider = ({ tileUrl = DEFAULT_TILE_URL, geocoderUrl = DEFAULT_GEOCODER_URL } = {}) => {
+  let L = null; // Leaflet touches `window` when imported, so it loads on first use
+
+  const getMarkerIcon = (icon) =>
+    icon === MARKER_ICON.USER
+      ? L.divIcon({
+          html: `<div class="w-4 h-4 rounded-full border-2 border-white" style="background: ${USER_POSITION_COLOR}"></div>`,
+          className: "",
+          iconSize: [16, 16],
+          iconAnchor: [8, 8],
+        })
+      : L.divIcon({
+          // Inner element so highlighting can animate it without moving the marker
+          html: `<div class="text-2xl leading-8 text-center">🎄</div>`,
+          className: "",
+          iconSize: [32, 32],
+          iconAnchor: [16, 32],
+        });
+
+  /**
+   * Calls the geocoder and returns its parsed JSON.
+   */
+  const fetchGeocoder = async (endpoint, params) => {
+    const searchParams = new URLSearchParams({ format: "jsonv2", addressdetails: "1", ...params });
+    const response = await fetch(`${geocoderUrl.replace(/\/$/, "")}/${endpoint}?${searchParams}`);
+
+    if (!response.ok) {
+      throw new Error(`Geocoder request failed with status ${response.status}`);
+    }
+    return response.json();
+  };
+
+  // Leaflet cannot tell visitor closes from ours, so info windows being closed in code are flagged
+  const closingInfoWindows = new WeakSet();
+
+  // The map and cluster group of each clustered marker, so it can leave and rejoin its cluster
+  const markerClusters = new WeakMap();
+
+  return {
+    name: "leaflet",
+    geocodeDelayMs: 1000, // The public Nominatim server allows one request per second
+
+    load: async () => {
+      if (!L) {
+        const leaflet = await import("leaflet");
+        L = leaflet.default ?? leaflet;
+        // The plugin adds L.markerClusterGroup to the global Leaflet that the import above sets up
+        await import("leaflet.markercluster");
+      }
+    },
+
+    createMap: (element, { center, zoom }) => {
+      // Info windows stay open on map clicks, as they do with Google, so Map.js decides when to close them
+      const map = L.map(element, { center, zoom, closePopupOnClick: false });
+      L.tileLayer(tileUrl, { attribution: OSM_ATTRIBUTION, maxZoom: 19 }).addTo(map);
+      return map;
+    },
+
+    onMapClick: (map, callback) => {
+      const handler = (event) => callback(toLocation(event.latlng));
+      map.on("click", handler);
+      return () => map.off("click", handler);
+    },
+
+    onMapIdle: (map, callback) => {
+      const handler = () => {
+        const bounds = map.getBounds();
+        callback({ north: bounds.getNorth(), south: bounds.getSouth(), east: bounds.getEast(), west: bounds.getWest() });
+      };
+      map.on("moveend", handler);
+      // Leaflet has no event for the first load, unlike Google's first idle
+      map.whenReady(handler);
+      return () => map.off("moveend", handler);
+    },
+
+    getZoom: (map) => map.getZoom(),
+    setZoom: (map, zoom) => map.setZoom(zoom),
+    panTo: (map, location) => map.panTo(location),
+    fitBounds: (map, { north, south, east, west }) => map.fitBounds([[south, west], [north, east]]),
+
+    // Clicking a cluster zooms the map to the cluster's bounds
+    createClusterer: (map) =>
+      L.markerClusterGroup({
+        disableClusteringAtZoom: CLUSTER_MAX_ZOOM + 1,
+        maxClusterRadius: 60,
+        showCoverageOnHover: false,
+        iconCreateFunction: (cluster) => {
+          const { svg, size } = getClusterBadge(cluster.getChildCount());
+          return L.divIcon({ html: svg, className: "", iconSize: [size, size] });
+        },
+      }).addTo(map),
+
+    // The cluster group redraws as markers are added and removed, so this only refreshes the badges
+    renderClusterer: (clusterer) => clusterer.refreshClusters(),
+
+    createMarker: (map, { position, icon = MARKER_ICON.HOUSE, title, onClick, clusterer }) => {
+      const marker = L.marker(position, {
+        icon: getMarkerIcon(icon),
+        title,
+        interactive: Boolean(onClick),
+        // Keep the visitor's dot above the houses
+        zIndexOffset: icon === MARKER_ICON.USER ? 1000 : 0,
+      });
+
+      if (onClick) {
+        marker.on("click", onClick);
+      }
+
+      if (clusterer) {
+        clusterer.addLayer(marker);
+        markerClusters.set(marker, { map, clusterer });
+        return marker;
+      }
+
+      return marker.addTo(map);
+    },
+
+    removeMarker: (marker) => {
+      markerClusters.get(marker)?.clusterer.removeLayer(marker);
+      markerClusters.delete(marker);
+      marker.remove();
+    },
+
+    getMarkerPosition: (marker) => toLocation(marker.getLatLng()),
+    setMarkerPosition: (marker, location) => marker.setLatLng(location),
+    setMarkerOpacity: (marker, opacity) => marker.setOpacity(opacity),
+
+    setMarkerDraggable: (marker, draggable) => {
+      const cluster = markerClusters.get(marker);
+
+      // Take the marker out of its cluster while dragged, and put it back afterwards.
+      // Leaflet only sets up dragging once a marker is on the map itself.
+      if (draggable) {
+        if (cluster) {
+          cluster.clusterer.removeLayer(marker);
+          marker.addTo(cluster.map);
+        }
+        marker.dragging.enable();
+      } else {
+        marker.dragging?.disable();
+        if (cluster) {
+          marker.remove();
+          cluster.clusterer.addLayer(marker);
+        }
+      }
+    },
+
+    setMarkerHighlighted: (marker, highlighted) =>
+      marker.getElement()?.firstElementChild?.classList.toggle("animate-bounce", highlighted),
+
+    onMarkerDragEnd: (marker, callback) => {
+      const handler = () => callback(toLocation(marker.getLatLng()));
+      marker.on("dragend", handler);
+      return () => marker.off("dragend", handler);
+    },
+
+    createInfoWindow: (map) => ({
+      map,
+      popup: L.popup({ minWidth: 250, maxWidth: 320, autoClose: false, closeOnClick: false }),
+    }),
+
+    openInfoWindow: ({ map, popup }, { content, marker, position, onReady }) => {
+      const root = createContentElement(content);
+
+      // Open above the tip of the 🎄 rather than over it
+      popup.options.offset = L.point(0, marker ? -24 : 7);
+      popup.setContent(root);
+      popup.setLatLng(marker ? marker.getLatLng() : position);
+      popup.openOn(map);
+
+      // Leaflet adds the content to the page while opening
+      if (onReady) onReady(root);
+    },
+
+    closeInfoWindow: (infoWindow) => {
+      closingInfoWindows.add(infoWindow);
+      infoWindow.map.closePopup(infoWindow.popup);
+      closingInfoWindows.delete(infoWindow);
+    },
+
+    onInfoWindowClose: (infoWindow, callback) => {
+      const handler = () => {
+        if (!closingInfoWindows.has(infoWindow)) callback();
+      };
+      infoWindow.popup.on("remove", handler);
+      return () => infoWindow.popup.off("remove", handler);
+    },
+
+    // Leaflet has no built-in arrows along a line, so `showDirection` is ignored
+    createPolyline: (map, path, { color }) => L.polyline(path, { color, opacity: 0.9, weight: 4 }).addTo(map),
+
+    createCircle: (map, { center, radiusMeters, color }) =>
+      L.circle(center, {
+        radius: radiusMeters,
+        color,
+        opacity: 0.4,
+        weight: 1,
+        fillColor: color,
+        fillOpacity: 0.15,
+        interactive: false,
+      }).addTo(map),
+
+    setCircle: (circle, { center, radiusMeters }) => {
+      circle.setLatLng(center);
+      circle.setRadius(radiusMeters);
+    },
+
+    removeShape: (shape) => shape.remove(),
+
+    geocode: async (address) => {
+      const results = await fetchGeocoder("search", { q: address, countrycodes: "us", limit: "5" });
+      return results.map(toGeocodeResult);
+    },
+
+    reverseGeocode: async (location) => {
+      const result = await fetchGeocoder("reverse", { lat: String(location.lat), lon: String(location.lng) });
+      // Nominatim answers a point with no address with an `error` field
+      return result.error ? [] : [toGeocodeResult(result)];
+    },
+
+    // Nominatim's usage policy forbids autocomplete, so addresses are only looked up on submit
+    attachAutocomplete: () => () => {},
+  };
+};
@@ -0,0 +1,80 @@
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+const toDegrees = (radians) => (radians * 180) / Math.PI;
+
+// Eight-point compass, each covering 45° centred on its bearing
+const COMPASS_POINTS = [
+  { label: "N", arrow: "↑" },
+  { label: "NE", arrow: "↗" },
+  { label: "E", arrow: "→" },
+  { label: "SE", arrow: "↘" },
+  { label: "S", arrow: "↓" },
+  { label: "SW", arrow: "↙" },
+  { label: "W", arrow: "←" },
+  { label: "NW", arrow: "↖" },
+];
+
+/**
+ * Follows the visitor's position as it changes.
+ * @param {Function} onPosition - Called with { lat, lng, accuracyMeters } on each fix.
+ * @param {Function} onError - Called with the GeolocationPositionError when a fix fails.
+ * @returns {Function} - Stops watching.
+ */
+export const watchUserPosition = (onPosition, onError) => {
+  const watchId = navigator.geolocation.watchPosition(
+    (position) => {
+      onPosition({
+        lat: position.coords.latitude,
+        lng: position.coords.longitude,
+        accuracyMeters: position.coords.accuracy,
+      });
+    },
+    onError,
+    { enableHighAccuracy: true, maximumAge: 10000, timeout: 20000 }
+  );
+
+  return () => navigator.geolocation.clearWatch(watchId);
+};
+
+/**
+ * Explains why the visitor's position could not be found.
+ * @param {GeolocationPositionError} error - The error from the Geolocation API.
+ * @returns {string} - A message to show the visitor.
+ */
+export const describeGeolocationError = (error) => {
+  switch (error?.code) {
+    case 1: // PERMISSION_DENIED
+      return "Location access is turned off for this site. Allow it in your browser settings to see what's lit near you.";
+    case 2: // POSITION_UNAVAILABLE
+      return "Your location isn't available right now. Check that location services are on.";
+    case 3: // TIMEOUT
+      return "Finding your location took too long. Still trying...";
+    default:
+      return "Unable to determine your location.";
+  }
+};
+
+/**
+ * Calculates the initial compass bearing from one point to another.
+ * @param {Object} from - The starting point ({ lat, lng }).
+ * @param {Object} to - The destination ({ lat, lng }).
+ * @returns {number} - The bearing in degrees clockwise from north (0-360).
+ */
+export const getBearing = (from, to) => {
+  const dLng = toRadians(to.lng - from.lng);
+  const y = Math.sin(dLng) * Math.cos(toRadians(to.lat));
+  const x =
+    Math.cos(toRadians(from.lat)) * Math.sin(toRadians(to.lat)) -
+    Math.sin(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.cos(dLng);
+
+  return (toDegrees(Math.atan2(y, x)) + 360) % 360;
+};
+
+/**
+ * Describes a bearing as a rough travel direction.
+ * @param {number} bearing - The bearing in degrees clockwise from north.
+ * @returns {string} - The direction with an arrow, e.g. "↗ NE".
+ */
+export const formatDirection = (bearing) => {
+  const point = COMPASS_POINTS[Math.round(bearing / 45) % COMPASS_POINTS.length];
+  return `${point.arrow} ${point.label}`;
+};
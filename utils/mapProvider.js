@@ -0,0 +1,90 @@
+/**
+ * The map provider interface shared by the Google, Leaflet and fake implementations.
+ *
+ * Map.js and the map helpers only talk to a provider, never to a mapping library directly.
+ * Maps, markers, info windows, clusterers and shapes are opaque handles returned by the
+ * provider and handed back to it. Locations are always plain { lat, lng } objects, and
+ * bounds are { north, south, east, west }.
+ *
+ * @typedef {Object} MapProvider
+ * @property {string} name - "google", "leaflet" or "fake".
+ * @property {number} geocodeDelayMs - Pause to leave between bulk geocoding requests.
+ * @property {Function} load - () => Promise<void>. Loads the library; call before anything else.
+ * @property {Function} createMap - (element, { center, zoom }) => map.
+ * @property {Function} onMapClick - (map, callback(location)) => remove. Listens to clicks on the map itself.
+ * @property {Function} onMapIdle - (map, callback(bounds)) => remove. Called each time the map settles after a pan or zoom, and once it first loads.
+ * @property {Function} getZoom - (map) => number.
+ * @property {Function} setZoom - (map, zoom).
+ * @property {Function} panTo - (map, location).
+ * @property {Function} fitBounds - (map, bounds).
+ * @property {Function} createClusterer - (map) => clusterer. Groups the markers created with it at low zoom levels.
+ * @property {Function} renderClusterer - (clusterer). Redraws the clusters after a batch of marker changes.
+ * @property {Function} createMarker - (map, { position, icon, title, onClick, clusterer }) => marker.
+ *   `icon` is one of MARKER_ICON. With a `clusterer`, the marker is not drawn until the clusterer is rendered.
+ * @property {Function} removeMarker - (marker).
+ * @property {Function} getMarkerPosition - (marker) => location.
+ * @property {Function} setMarkerPosition - (marker, location).
+ * @property {Function} setMarkerOpacity - (marker, opacity).
+ * @property {Function} setMarkerDraggable - (marker, draggable). A draggable marker leaves its cluster so it stays visible.
+ * @property {Function} setMarkerHighlighted - (marker, highlighted). Makes the marker stand out, e.g. by bouncing.
+ * @property {Function} onMarkerDragEnd - (marker, callback(location)) => remove.
+ * @property {Function} createInfoWindow - (map) => infoWindow.
+ * @property {Function} openInfoWindow - (infoWindow, { content, marker, position, onReady }).
+ *   `content` is an HTML string or element; it opens at the marker if given, otherwise at `position`.
+ *   `onReady(root)` is called with the content element once it is in the page, ready for listeners.
+ * @property {Function} closeInfoWindow - (infoWindow).
+ * @property {Function} onInfoWindowClose - (infoWindow, callback) => remove. Called when the visitor closes the window.
+ * @property {Function} createPolyline - (map, path, { color, showDirection }) => shape.
+ * @property {Function} createCircle - (map, { center, radiusMeters, color }) => shape.
+ * @property {Function} setCircle - (circle, { center, radiusMeters }).
+ * @property {Function} removeShape - (shape).
+ * @property {Function} geocode - (address) => Promise<Array<{ address, location }>>, best match first.
+ * @property {Function} reverseGeocode - (location) => Promise<Array<{ address, location }>>, best match first.
+ * @property {Function} attachAutocomplete - (input, callback(address)) => remove. Suggests addresses as the
+ *   visitor types, where the provider supports it.
+ */
+
+// Icons a marker can be drawn with
+export const MARKER_ICON = {
+  HOUSE: "house", // 🎄 for a house on the map
+  USER: "user", // Blue dot at the visitor's position
+};
+
+// Color of the visitor's position dot and accuracy circle
+export const USER_POSITION_COLOR = "#4285F4";
+
+// Highest zoom level at which markers are clustered; street level and closer shows every house
+export const CLUSTER_MAX_ZOOM = 14;
+
+/**
+ * Draws a cluster as a festive badge showing how many houses it contains.
+ * @param {number} count - The number of houses in the cluster.
+ * @returns {Object} - The badge as { svg, size }, where `size` is its width and height in pixels.
+ */
+export const getClusterBadge = (count) => {
+  const size = count < 10 ? 40 : count < 100 ? 48 : 56;
+
+  return {
+    size,
+    svg: `
+      <svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 56 56">
+        <circle cx="28" cy="28" r="26" fill="#c0392b" stroke="#f1c40f" stroke-width="4" />
+        <circle cx="28" cy="28" r="20" fill="none" stroke="#27ae60" stroke-width="2" stroke-dasharray="4 3" />
+        <text x="28" y="34" text-anchor="middle" font-size="18" font-weight="bold" font-family="sans-serif" fill="#ecf0f1">${count}</text>
+      </svg>
+    `,
+  };
+};
+
+/**
+ * Wraps info window content in an element so providers can hand it to `onReady`.
+ * @param {string|HTMLElement} content - HTML or an element.
+ * @returns {HTMLElement} - The element to show.
+ */
+export const createContentElement = (content) => {
+  if (typeof content !== "string") return content;
+
+  const element = document.createElement("div");
+  element.innerHTML = content;
+  return element;
+};
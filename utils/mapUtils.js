@@ -1,8 +1,20 @@
-import { collection, getDocs } from "firebase/firestore";
+import { collection, getDocs, limit, orderBy, query, startAfter, where } from "firebase/firestore";
 import { db } from "../firebase";
-import { ref, getDownloadURL, listAll } from "firebase/storage";
-import { storage } from "../firebase";
 import { doc, updateDoc, arrayUnion } from "firebase/firestore";
+import { createGoogleMapProvider } from "./googleMapProvider";
+import { createLeafletMapProvider } from "./leafletMapProvider";
+import { houseFromSnapshot, photoFromSnapshot } from "./schemaUtils";
+import { PHOTO_STATUS } from "./moderationUtils";
+import { getSeasonForDate, isLitInSeason } from "./seasonUtils";
+import { DISPLAY_TAGS, getTagLabels } from "./tagUtils";
+import { REPORT_REASONS } from "./reportUtils";
+import { SCHEDULE_STATE, WEEKDAYS, WEEKDAY_LABELS, getScheduleStatus } from "./scheduleUtils";
+
+// Number of photos fetched per page in the house InfoWindow
+export const PHOTOS_PAGE_SIZE = 6;
+
+// Provider shared by the map, the search box and the CSV import, created on first use
+let mapProvider = null;
 
 /**
  * Fetches all houses from Firestore.
@@ -11,10 +23,7 @@ import { doc, updateDoc, arrayUnion } from "firebase/firestore";
 export const fetchHouses = async () => {
   try {
     const querySnapshot = await getDocs(collection(db, "houses"));
-    const houses = querySnapshot.docs.map((doc) => ({
-      id: doc.id,
-      ...doc.data(),
-    }));
+    const houses = querySnapshot.docs.map((doc) => houseFromSnapshot(doc));
     return houses;
   } catch (error) {
     console.error("Error fetching houses:", error);
@@ -23,107 +32,165 @@ export const fetchHouses = async () => {
 };
 
 /**
- * Creates a marker with an emoji icon on the map.
- * @param {google.maps.Map} map - The Google Map instance.
- * @param {Object} house - The house data containing location and other info.
- * @param {Function} onClickCallback - The function to call when the marker is clicked.
- * @returns {google.maps.Marker|null} - The created marker or null if creation failed.
+ * Returns the map provider picked by NEXT_PUBLIC_MAP_PROVIDER: "google" (the default) or "leaflet".
+ * Leaflet draws NEXT_PUBLIC_MAP_TILE_URL tiles and geocodes with NEXT_PUBLIC_GEOCODER_URL when they are set.
+ * @returns {MapProvider} - The shared provider instance.
  */
-export const createEmojiMarker = (map, house, onClickCallback) => {
-  if (!house.location || !house.location.lat || !house.location.lng) {
-    console.error("Invalid house location:", house);
-    return null;
+export const getMapProvider = () => {
+  if (!mapProvider) {
+    mapProvider = process.env.NEXT_PUBLIC_MAP_PROVIDER === "leaflet"
+      ? createLeafletMapProvider({
+          tileUrl: process.env.NEXT_PUBLIC_MAP_TILE_URL || undefined,
+          geocoderUrl: process.env.NEXT_PUBLIC_GEOCODER_URL || undefined,
+        })
+      : createGoogleMapProvider();
   }
+  return mapProvider;
+};
 
-  const position = new google.maps.LatLng(house.location.lat, house.location.lng);
-
-  const marker = new google.maps.Marker({
-    position: position,
-    map: map,
-    // Use a custom SVG icon to represent the emoji 🎄 (Christmas Tree)
-    icon: {
-      // SVG data URL for the emoji 🎄 (Christmas Tree)
-      url:
-        "data:image/svg+xml;charset=UTF-8," +
-        encodeURIComponent(`
-          <svg xmlns="http://www.w3.org/2000/svg" width="32" height="32">
-            <text x="16" y="24" text-anchor="middle" font-size="24">&#127876;</text>
-          </svg>
-        `),
-      scaledSize: new google.maps.Size(32, 32), // Adjust size as needed
-      anchor: new google.maps.Point(16, 32), // Anchor point of the icon
-    },
-    clickable: true,
-  });
+/**
+ * Fetches one page of a house's approved photos from its photos subcollection, newest first.
+ * Pending and rejected uploads are never shown on the map. Photos from before moderation
+ * have no status until `npm run backfill:photo-status` approves them.
+ * @param {string} houseId - The ID of the house.
+ * @param {Object|null} [cursor] - The `nextCursor` of the previous page, or null for the first page.
+ * @returns {Promise<Object>} - The page as { photos, nextCursor }, where `nextCursor` is null on the last page.
+ */
+export const fetchHousePhotos = async (houseId, cursor = null) => {
+  try {
+    const constraints = [
+      where("status", "==", PHOTO_STATUS.APPROVED),
+      orderBy("uploadedAt", "desc"),
+      ...(cursor ? [startAfter(cursor)] : []),
+      // Fetch one extra photo to learn whether another page exists
+      limit(PHOTOS_PAGE_SIZE + 1),
+    ];
+    const querySnapshot = await getDocs(query(collection(db, "houses", houseId, "photos"), ...constraints));
 
-  if (onClickCallback) {
-    marker.addListener("click", () => onClickCallback(marker, house));
-  }
+    const pageDocs = querySnapshot.docs.slice(0, PHOTOS_PAGE_SIZE);
+    const hasMore = querySnapshot.docs.length > PHOTOS_PAGE_SIZE;
 
-  return marker;
+    return {
+      photos: pageDocs.map((photoDoc) => photoFromSnapshot(photoDoc)),
+      nextCursor: hasMore ? pageDocs[pageDocs.length - 1] : null,
+    };
+  } catch (error) {
+    console.error("Error fetching photos:", error);
+    return { photos: [], nextCursor: null };
+  }
 };
 
 /**
- * Initializes and returns a new InfoWindow instance.
- * @returns {google.maps.InfoWindow|null} - The InfoWindow instance or null if creation failed.
+ * Generates the checkboxes and FM frequency field for picking a display's tags.
  */
-export const initializeInfoWindow = () => {
-  if (typeof google === "undefined") {
-    console.error("Google Maps API is not loaded.");
-    return null;
-  }
+const generateTagPickerHtml = (tags = [], musicFrequency = null) => `
+  <div class="flex flex-wrap gap-2 mb-2">
+    ${DISPLAY_TAGS.map(
+      (tag) => `
+        <label class="flex items-center space-x-1 text-sm cursor-pointer">
+          <input type="checkbox" data-tag-id="${tag.id}" class="accent-gold" ${tags.includes(tag.id) ? "checked" : ""} />
+          <span>${tag.emoji} ${tag.label}</span>
+        </label>
+      `
+    ).join('')}
+  </div>
+  <input
+    type="number"
+    step="0.1"
+    min="87.5"
+    max="108"
+    placeholder="FM frequency, e.g. 101.5"
+    value="${musicFrequency ?? ""}"
+    data-music-frequency
+    class="w-full mb-4 p-2 rounded bg-snowWhite text-christmasGreen text-sm"
+  />
+`;
 
-  return new google.maps.InfoWindow();
-};
+/**
+ * Reads the tags picked in a tag picker.
+ * @param {HTMLElement} container - The element that contains the picker.
+ * @returns {Object} - The picked { tags, musicFrequency }.
+ */
+export const readTagPicker = (container) => ({
+  tags: Array.from(container.querySelectorAll("input[data-tag-id]:checked")).map((input) => input.dataset.tagId),
+  musicFrequency: container.querySelector("input[data-music-frequency]")?.value || null,
+});
 
 /**
- * Opens the InfoWindow with the provided content at the specified marker.
- * @param {google.maps.InfoWindow} infoWindow - The InfoWindow instance.
- * @param {google.maps.Map} map - The Google Map instance.
- * @param {google.maps.Marker} marker - The marker at which to display the InfoWindow.
- * @param {string} content - The HTML content to display in the InfoWindow.
+ * Generates the weekly hours and season date fields for editing a display's schedule.
  */
-export const openInfoWindow = (infoWindow, map, marker, content) => {
-  infoWindow.setContent(content);
-  infoWindow.open(map, marker);
+const generateScheduleEditorHtml = (schedule) => {
+  const hours = schedule?.hours || {};
+
+  return `
+    <div class="space-y-1 mb-2 text-sm">
+      ${WEEKDAYS.map(
+        (day) => `
+          <div class="flex items-center justify-between space-x-1" data-schedule-day="${day}">
+            <span class="w-10">${WEEKDAY_LABELS[day].slice(0, 3)}</span>
+            <input type="time" data-schedule-start value="${hours[day]?.start || ""}" class="p-1 rounded bg-snowWhite text-christmasGreen" />
+            <span>–</span>
+            <input type="time" data-schedule-end value="${hours[day]?.end || ""}" class="p-1 rounded bg-snowWhite text-christmasGreen" />
+          </div>
+        `
+      ).join('')}
+    </div>
+    <p class="text-xs text-silver mb-1">Leave a day blank if the lights are off that night.</p>
+    <div class="flex items-center space-x-1 mb-4 text-sm">
+      <input type="date" data-schedule-start-date value="${schedule?.startDate || ""}" class="flex-1 p-1 rounded bg-snowWhite text-christmasGreen" aria-label="Season start" />
+      <span>to</span>
+      <input type="date" data-schedule-end-date value="${schedule?.endDate || ""}" class="flex-1 p-1 rounded bg-snowWhite text-christmasGreen" aria-label="Season end" />
+    </div>
+  `;
 };
 
 /**
- * Fetches all photo URLs for a given house from Firebase Storage.
- * @param {string} houseId - The ID of the house.
- * @returns {Promise<Array>} - An array of photo URLs.
+ * Reads the schedule entered in a schedule editor.
+ * @param {HTMLElement} container - The element that contains the editor.
+ * @returns {Object} - The schedule as { hours, startDate, endDate }.
  */
-export const fetchHousePhotos = async (houseId) => {
-  const photosRef = ref(storage, `houses/${houseId}/photos`);
-  try {
-    const result = await listAll(photosRef);
-    const urlPromises = result.items.map((itemRef) => getDownloadURL(itemRef));
-    const urls = await Promise.all(urlPromises);
-    return urls;
-  } catch (error) {
-    console.error("Error fetching photos:", error);
-    return [];
-  }
+export const readScheduleEditor = (container) => {
+  const hours = {};
+  container.querySelectorAll("[data-schedule-day]").forEach((row) => {
+    hours[row.dataset.scheduleDay] = {
+      start: row.querySelector("input[data-schedule-start]").value,
+      end: row.querySelector("input[data-schedule-end]").value,
+    };
+  });
+
+  return {
+    hours,
+    startDate: container.querySelector("input[data-schedule-start-date]").value || null,
+    endDate: container.querySelector("input[data-schedule-end-date]").value || null,
+  };
+};
+
+// Escape HTML to prevent XSS
+const escapeHtml = (unsafe) => {
+  return String(unsafe)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#039;");
 };
 
 /**
  * Generates the HTML content for the house InfoWindow.
  * @param {Object} house - The house data.
- * @param {Array} photos - Array of photo URLs.
+ * @param {Array} photos - Array of photo documents, each with a `downloadURL` and usually a `thumbnailURL`.
+ * @param {Object} [options] - Extra details for the InfoWindow.
+ * @param {number|null} [options.userRating] - The stars this visitor gave the house, if any.
+ * @param {string|null} [options.currentUserId] - The uid of the signed-in user.
+ * @param {boolean} [options.hasMorePhotos] - Whether to show a control that loads more photos.
  * @returns {string} - The HTML content for the InfoWindow.
  */
-export const generateInfoWindowContent = (house, photos) => {
-  const { address, id } = house;
-
-  // Escape HTML to prevent XSS
-  const escapeHtml = (unsafe) => {
-    return unsafe
-      .replace(/&/g, "&amp;")
-      .replace(/</g, "&lt;")
-      .replace(/>/g, "&gt;")
-      .replace(/"/g, "&quot;")
-      .replace(/'/g, "&#039;");
-  };
+export const generateInfoWindowContent = (
+  house,
+  photos,
+  { userRating = null, currentUserId = null, hasMorePhotos = false } = {}
+) => {
+  const { address, id, ratingAverage = 0, ratingCount = 0, createdBy, createdByName } = house;
 
   const safeAddress = escapeHtml(address || "No Address Provided");
 
@@ -138,16 +205,27 @@ export const generateInfoWindowContent = (house, photos) => {
       <div class="flex overflow-x-auto space-x-2 mb-4">
         ${photos
           .map(
-            (url, index) => `
+            (photo, index) => `
             <img
-              src="${url}"
+              src="${photo.thumbnailURL || photo.downloadURL}"
               alt="Photo of ${safeAddress}"
               class="w-20 h-20 object-cover rounded cursor-pointer"
+              loading="lazy"
               data-photo-index="${index}"
             />
           `
           )
           .join('')}
+        ${hasMorePhotos
+          ? `
+            <button
+              id="load-more-photos-btn-${id}"
+              class="w-20 h-20 flex-shrink-0 rounded border-2 border-dashed border-gold text-gold text-sm hover:bg-gold hover:text-christmasGreen transition duration-200"
+            >
+              Load more
+            </button>
+          `
+          : ''}
       </div>
     `;
   } else {
@@ -159,6 +237,71 @@ export const generateInfoWindowContent = (house, photos) => {
     <h3 class="text-lg font-bold text-gold mb-2">${safeAddress}</h3>
   `;
 
+  // Display tags
+  const tagLabels = getTagLabels(house);
+  if (tagLabels.length > 0) {
+    content += `
+      <div class="flex flex-wrap gap-1 mb-2">
+        ${tagLabels.map((label) => `<span class="px-2 py-0.5 rounded-full bg-gold text-christmasGreen text-xs">${label}</span>`).join('')}
+      </div>
+    `;
+  }
+
+  // Schedule status in Truckee time, for houses with hours listed
+  const scheduleStatus = getScheduleStatus(house.schedule);
+  if (scheduleStatus) {
+    const statusColor = scheduleStatus.state === SCHEDULE_STATE.ON ? "text-gold" : "text-silver";
+    content += `<p class="text-sm font-semibold ${statusColor} mb-2">🕔 ${scheduleStatus.label}</p>`;
+  }
+
+  // Attribution, for houses added since accounts were introduced
+  if (createdBy) {
+    const addedBy = createdBy === currentUserId ? "you" : escapeHtml(createdByName || "a neighbor");
+    content += `<p class="text-xs text-silver mb-2">Added by ${addedBy}</p>`;
+  }
+
+  // Star rating: filled to the visitor's own rating, or to the average if they have not voted
+  const filledStars = userRating ?? Math.round(ratingAverage);
+  const ratingSummary = ratingCount > 0
+    ? `${ratingAverage.toFixed(1)} (${ratingCount} ${ratingCount === 1 ? "rating" : "ratings"})`
+    : "No ratings yet";
+
+  content += `
+    <div class="flex items-center mb-4">
+      <div class="flex space-x-1">
+        ${[1, 2, 3, 4, 5]
+          .map(
+            (value) => `
+            <button
+              type="button"
+              data-rating-value="${value}"
+              class="text-2xl leading-none ${value <= filledStars ? "text-gold" : "text-silver"} hover:text-gold"
+              aria-label="Rate ${value} ${value === 1 ? "star" : "stars"}"
+            >★</button>
+          `
+          )
+          .join('')}
+      </div>
+      <span class="ml-2 text-sm">${ratingSummary}</span>
+    </div>
+  `;
+
+  if (userRating) {
+    content += `<p class="text-sm mb-4">You rated this display ${userRating} ${userRating === 1 ? "star" : "stars"}.</p>`;
+  }
+
+  // Season confirmation: lit houses say so, the others ask visitors to confirm
+  const currentSeason = getSeasonForDate();
+  if (isLitInSeason(house, currentSeason)) {
+    content += `<p class="text-sm mb-4">💡 Confirmed lit this season.</p>`;
+  } else {
+    content += `
+      <button id="confirm-lit-btn-${id}" class="w-full mb-2 py-2 px-4 border border-gold text-gold font-semibold rounded hover:bg-gold hover:text-christmasGreen transition duration-200">
+        💡 Still lit this year? Confirm it
+      </button>
+    `;
+  }
+
   // Add Photos button
   content += `
     <button id="upload-photos-btn-${id}" class="w-full py-2 px-4 bg-gold text-christmasGreen font-semibold rounded hover:bg-snowWhite transition duration-200">
@@ -166,25 +309,120 @@ export const generateInfoWindowContent = (house, photos) => {
     </button>
   `;
 
+  // Adjust Position button
+  content += `
+    <button id="adjust-position-btn-${id}" class="w-full mt-2 py-2 px-4 border border-gold text-gold font-semibold rounded hover:bg-gold hover:text-christmasGreen transition duration-200">
+      📍 Adjust position
+    </button>
+  `;
+
+  // Tag editor, collapsed until needed
+  content += `
+    <details id="edit-tags-${id}" class="mt-2">
+      <summary class="cursor-pointer text-sm text-gold">🏷️ Edit display tags</summary>
+      <div class="mt-2">
+        ${generateTagPickerHtml(house.tags, house.musicFrequency)}
+        <button id="save-tags-btn-${id}" class="w-full py-2 px-4 bg-gold text-christmasGreen font-semibold rounded hover:bg-snowWhite transition duration-200">
+          Save tags
+        </button>
+      </div>
+    </details>
+  `;
+
+  // Schedule editor, collapsed until needed
+  content += `
+    <details id="edit-schedule-${id}" class="mt-2">
+      <summary class="cursor-pointer text-sm text-gold">🕔 ${house.schedule ? "Edit hours" : "Add hours"}</summary>
+      <div class="mt-2">
+        ${generateScheduleEditorHtml(house.schedule)}
+        <button id="save-schedule-btn-${id}" class="w-full py-2 px-4 bg-gold text-christmasGreen font-semibold rounded hover:bg-snowWhite transition duration-200">
+          Save hours
+        </button>
+      </div>
+    </details>
+  `;
+
+  // Share button
+  content += `
+    <button id="share-house-btn-${id}" class="w-full mt-2 py-2 px-4 border border-gold text-gold font-semibold rounded hover:bg-gold hover:text-christmasGreen transition duration-200">
+      🔗 Share
+    </button>
+  `;
+
+  // Report form, collapsed until needed
+  content += `
+    <details id="report-house-${id}" class="mt-2">
+      <summary class="cursor-pointer text-sm text-silver">🚩 Report a problem</summary>
+      <div class="mt-2 space-y-2">
+        <select data-report-reason class="w-full p-2 rounded bg-snowWhite text-christmasGreen text-sm">
+          ${REPORT_REASONS.map((reason) => `<option value="${reason.id}">${reason.label}</option>`).join('')}
+        </select>
+        <textarea
+          data-report-comment
+          rows="2"
+          maxlength="500"
+          placeholder="Anything else we should know? (optional)"
+          class="w-full p-2 rounded bg-snowWhite text-christmasGreen text-sm"
+        ></textarea>
+        <button id="submit-report-btn-${id}" class="w-full py-2 px-4 bg-christmasRed text-snowWhite font-semibold rounded hover:bg-gold transition duration-200">
+          Send report
+        </button>
+      </div>
+    </details>
+  `;
+
   content += `</div>`;
 
   return content;
 };
 
 /**
- * Creates a styled InfoWindow for adding a house.
- * @param {google.maps.Map} map - The Google Map instance.
- * @param {google.maps.LatLng} latLng - The location at which to display the InfoWindow.
- * @param {Function} handleUserSelection - Callback function when user adds the house.
- * @param {string} address - The resolved address of the location.
- * @returns {google.maps.InfoWindow} - The created InfoWindow instance.
+ * Generates the HTML content shown while a house marker is being dragged to a better position.
+ * @param {Object} house - The house being moved.
+ * @param {Object} [suggestion] - Where it was dropped.
+ * @param {string|null} [suggestion.address] - The reverse-geocoded address of the drop point.
+ * @param {boolean} [suggestion.isLoading] - True while the address is being looked up.
+ * @returns {string} - The HTML content for the InfoWindow.
  */
-export const createStyledInfoWindow = (map, latLng, handleUserSelection, address) => {
-  if (typeof google === "undefined") {
-    console.error("Google Maps API is not loaded.");
-    return null;
+export const generateAdjustPositionContent = (house, { address = null, isLoading = false } = {}) => {
+  let body;
+  if (isLoading) {
+    body = `<p class="mb-4">Looking up the address...</p>`;
+  } else if (address) {
+    body = `
+      <p class="text-sm mb-1">Move the house here?</p>
+      <p class="font-semibold mb-1">${escapeHtml(address)}</p>
+      <p class="text-xs text-silver mb-4">Currently: ${escapeHtml(house.address || "No Address Provided")}</p>
+      <button id="save-position-btn-${house.id}" class="w-full mb-2 py-2 px-4 bg-gold text-christmasGreen font-semibold rounded hover:bg-snowWhite transition duration-200">
+        ✅ Save position
+      </button>
+    `;
+  } else {
+    body = `<p class="mb-4">Drag the 🎄 onto the house, then confirm the new address.</p>`;
   }
 
+  return `
+    <div class="min-w-[250px] p-4 rounded-lg bg-christmasGreen text-snowWhite font-sans">
+      <h3 class="text-lg font-bold text-gold mb-2">📍 Adjust Position</h3>
+      ${body}
+      <button id="cancel-position-btn-${house.id}" class="w-full py-2 px-4 border border-gold text-gold rounded hover:bg-gold hover:text-christmasGreen transition duration-200">
+        Cancel
+      </button>
+    </div>
+  `;
+};
+
+/**
+ * Creates a styled InfoWindow for adding a house.
+ * @param {MapProvider} provider - The map provider.
+ * @param {Object} map - The provider's map.
+ * @param {Object} location - The location ({ lat, lng }) at which to display the InfoWindow.
+ * @param {Function} handleUserSelection - Callback function when user adds the house, called with
+ *   the address, the location and the picked { tags, musicFrequency }.
+ * @param {string} address - The resolved address of the location.
+ * @returns {Object} - The provider's InfoWindow.
+ */
+export const createStyledInfoWindow = (provider, map, location, handleUserSelection, address) => {
   // Create a container div
   const containerDiv = document.createElement('div');
   containerDiv.classList.add(
@@ -199,31 +437,39 @@ export const createStyledInfoWindow = (map, latLng, handleUserSelection, address
   // Add content to the container
   containerDiv.innerHTML = `
     <h3 class="text-xl font-bold text-gold mb-2">🎄 Add This House?</h3>
-    <p class="mb-4">${address}</p>
+    <p class="mb-4">${escapeHtml(address)}</p>
+    <p class="text-sm mb-2">What kind of display is it?</p>
+    ${generateTagPickerHtml()}
     <button class="w-full py-2 px-4 bg-gold text-christmasGreen font-semibold rounded hover:bg-snowWhite transition duration-200">
       🎉 Yes, Add House
     </button>
   `;
 
+  // Create and open the InfoWindow
+  const infoWindow = provider.createInfoWindow(map);
+
   // Attach event listener to the button
   const addButton = containerDiv.querySelector('button');
   if (addButton) {
     addButton.addEventListener('click', () => {
-      handleUserSelection(address, latLng.toJSON());
-      infoWindow.close();
+      handleUserSelection(address, { lat: location.lat, lng: location.lng }, readTagPicker(containerDiv));
+      provider.closeInfoWindow(infoWindow);
     });
   } else {
     console.error("Could not find the add-house button");
   }
 
-  // Create and open the InfoWindow
-  const infoWindow = new google.maps.InfoWindow({
-    content: containerDiv,
-    position: latLng,
-  });
-
-  infoWindow.open(map);
+  provider.openInfoWindow(infoWindow, { content: containerDiv, position: location });
 
   return infoWindow;
 };
 
+/**
+ * Draws the route of a planned tour on the map.
+ * @param {MapProvider} provider - The map provider.
+ * @param {Object} map - The provider's map.
+ * @param {Array<Object>} path - Ordered list of { lat, lng } points.
+ * @returns {Object} - The provider's polyline.
+ */
+export const createTourPolyline = (provider, map, path) =>
+  provider.createPolyline(map, path, { color: "#c0392b", showDirection: true }); // christmasRed
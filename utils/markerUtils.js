@@ -0,0 +1,179 @@
+// The extension lets scripts/check-map-behavior.mjs import this file with plain Node
+import { MARKER_ICON } from "./mapProvider.js";
+
+/**
+ * Creates a marker for a house, drawn as a Christmas tree.
+ * @param {MapProvider} provider - The map provider.
+ * @param {Object} map - The provider's map.
+ * @param {Object} house - The house, with its `location`.
+ * @param {Function} [onClickCallback] - Called with (marker, house) when the marker is clicked.
+ * @param {Object} [clusterer] - The provider's clusterer to add the marker to.
+ * @returns {Object|null} - The provider's marker, or null when the house has no location.
+ */
+export const createEmojiMarker = (provider, map, house, onClickCallback, clusterer) => {
+  // Houses read through the schema have either a valid location or none
+  if (!house.location) return null;
+
+  const marker = provider.createMarker(map, {
+    position: { lat: house.location.lat, lng: house.location.lng },
+    icon: MARKER_ICON.HOUSE,
+    onClick: onClickCallback ? () => onClickCallback(marker, house) : null,
+    clusterer,
+  });
+
+  return marker;
+};
+
+/**
+ * Brings the house markers in line with a new list of houses, touching only the ones that changed.
+ * Houses without a location or hidden by an admin get no marker.
+ * @param {MapProvider} provider - The map provider.
+ * @param {Object} map - The provider's map.
+ * @param {Object} state - The markers drawn so far as { markers, renderedHouses }, both keyed by house ID.
+ *   They are updated in place.
+ * @param {Array<Object>} houses - The houses to show.
+ * @param {Object} options - How markers are drawn.
+ * @param {Object} options.clusterer - The provider's clusterer that owns the markers.
+ * @param {Function} options.onMarkerClick - Called with (marker, house) when a marker is clicked.
+ * @param {Function} options.getOpacity - Returns the opacity of a house's marker.
+ */
+export const syncHouseMarkers = (provider, map, { markers, renderedHouses }, houses, { clusterer, onMarkerClick, getOpacity }) => {
+  const nextHouses = {};
+  houses.forEach((house) => {
+    // Old houses saved without a location cannot be placed until they are given one
+    if (!house.location) return;
+    // Houses hidden by an admin never get a marker
+    if (house.hidden) return;
+    nextHouses[house.id] = house;
+  });
+
+  let changed = false;
+
+  // Remove markers for houses that are gone
+  Object.keys(markers).forEach((id) => {
+    if (!nextHouses[id]) {
+      provider.removeMarker(markers[id]);
+      delete markers[id];
+      delete renderedHouses[id];
+      changed = true;
+    }
+  });
+
+  // Add markers for new houses and move the ones that were modified
+  Object.values(nextHouses).forEach((house) => {
+    const marker = markers[house.id];
+
+    if (!marker) {
+      const newMarker = createEmojiMarker(provider, map, house, onMarkerClick, clusterer);
+      if (!newMarker) return;
+      markers[house.id] = newMarker;
+      changed = true;
+    } else if (renderedHouses[house.id] !== house) {
+      provider.setMarkerPosition(marker, house.location);
+      changed = true;
+    }
+
+    renderedHouses[house.id] = house;
+    provider.setMarkerOpacity(markers[house.id], getOpacity(house));
+  });
+
+  // Recluster once for the whole batch
+  if (changed) {
+    provider.renderClusterer(clusterer);
+  }
+};
+
+/**
+ * Lets the visitor drag a house marker to its correct spot, offering the reverse-geocoded address
+ * of each drop point until they save or cancel. Closing the info window cancels.
+ * @param {MapProvider} provider - The map provider.
+ * @param {Object} options - The marker being moved and how the adjust window behaves.
+ * @param {Object} options.marker - The provider's marker of the house.
+ * @param {Object} options.infoWindow - The provider's info window to show the controls in.
+ * @param {Function} options.renderContent - Returns the window's HTML for a state: nothing, { isLoading }
+ *   or { address }.
+ * @param {Function} options.bindControls - Called with (root, { save, cancel }) once the window is in the DOM.
+ * @param {Function} options.onSave - Saves the last drop point's { address, location }; may return a promise.
+ * @param {Function} options.onSaveError - Called with the error when saving fails. The visitor can retry.
+ * @param {Function} options.onGeocodeError - Called with the error when a drop point has no address.
+ * @param {Function} [options.onFinish] - Called once the adjustment is saved or canceled.
+ * @returns {Object} - The adjustment as { save, cancel }. `save` resolves to whether the position was saved.
+ */
+export const startPositionAdjustment = (
+  provider,
+  { marker, infoWindow, renderContent, bindControls, onSave, onSaveError, onGeocodeError, onFinish }
+) => {
+  const originalPosition = provider.getMarkerPosition(marker);
+  let suggestion = null; // { address, location } of the last drop point
+  let isFinished = false;
+  const removeListeners = [];
+
+  // Leaves adjust mode, moving the marker back unless the new position was saved
+  const finish = (saved) => {
+    // A save can still complete after the adjustment was canceled by opening another house
+    if (isFinished) return;
+    isFinished = true;
+
+    removeListeners.forEach((removeListener) => removeListener());
+    provider.closeInfoWindow(infoWindow);
+
+    if (!saved) {
+      provider.setMarkerPosition(marker, originalPosition);
+    }
+    provider.setMarkerDraggable(marker, false);
+
+    if (onFinish) onFinish();
+  };
+
+  const save = async () => {
+    try {
+      await onSave(suggestion);
+      finish(true);
+      return true;
+    } catch (error) {
+      onSaveError(error);
+      return false;
+    }
+  };
+
+  const cancel = () => finish(false);
+  const adjustment = { save, cancel };
+
+  // Shows the adjust controls and wires them up once they are in the DOM
+  const renderAdjustWindow = (state) => {
+    provider.openInfoWindow(infoWindow, {
+      content: renderContent(state),
+      marker,
+      onReady: (root) => bindControls(root, adjustment),
+    });
+  };
+
+  // A draggable marker leaves its cluster so it stays visible while dragged
+  provider.setMarkerDraggable(marker, true);
+
+  // Reverse-geocode each drop point and offer its address
+  removeListeners.push(
+    provider.onMarkerDragEnd(marker, async (location) => {
+      renderAdjustWindow({ isLoading: true });
+
+      try {
+        const [result] = await provider.reverseGeocode(location);
+        if (isFinished) return;
+        if (!result) throw new Error("No address found for the drop point.");
+
+        suggestion = { address: result.address, location };
+        renderAdjustWindow({ address: suggestion.address });
+      } catch (error) {
+        if (isFinished) return;
+        onGeocodeError(error);
+        renderAdjustWindow();
+      }
+    }),
+    // Closing the window cancels the adjustment
+    provider.onInfoWindowClose(infoWindow, cancel)
+  );
+
+  renderAdjustWindow();
+
+  return adjustment;
+};
@@ -0,0 +1,119 @@
+import {
+  collection,
+  collectionGroup,
+  doc,
+  getDocs,
+  increment,
+  orderBy,
+  query,
+  serverTimestamp,
+  updateDoc,
+  where,
+  writeBatch,
+} from "firebase/firestore";
+import { deleteObject, ref } from "firebase/storage";
+import { db, storage } from "../firebase";
+import { PHOTO_STATUS, photoFromSnapshot, validateHouseUpdate, validatePhotoUpdate } from "./schemaUtils";
+
+export { PHOTO_STATUS };
+
+/**
+ * Fetches all photos across houses that are waiting for review, oldest first.
+ * @returns {Promise<Array>} - The pending photos, each with its `id` and `houseId`.
+ */
+export const fetchPendingPhotos = async () => {
+  try {
+    const querySnapshot = await getDocs(
+      query(collectionGroup(db, "photos"), where("status", "==", PHOTO_STATUS.PENDING))
+    );
+
+    const photos = querySnapshot.docs.map((photoDoc) => ({
+      ...photoFromSnapshot(photoDoc),
+      houseId: photoDoc.ref.parent.parent.id,
+    }));
+
+    return photos.sort(
+      (a, b) => (a.uploadedAt?.toMillis() ?? 0) - (b.uploadedAt?.toMillis() ?? 0)
+    );
+  } catch (error) {
+    console.error("Error fetching pending photos:", error);
+    return [];
+  }
+};
+
+/**
+ * Approves a photo so it is shown on the map.
+ * The house's photo count and cover thumbnail, used by the sidebar list, are updated with it.
+ * @param {Object} photo - The photo, with its `id`, `houseId`, `downloadURL` and `thumbnailURL`.
+ */
+export const approvePhoto = async (photo) => {
+  const batch = writeBatch(db);
+
+  batch.update(doc(db, "houses", photo.houseId, "photos", photo.id), validatePhotoUpdate({
+    status: PHOTO_STATUS.APPROVED,
+    reviewedAt: serverTimestamp(),
+  }));
+  batch.update(doc(db, "houses", photo.houseId), validateHouseUpdate({
+    photoCount: increment(1),
+    coverThumbnailURL: photo.thumbnailURL || photo.downloadURL,
+  }));
+
+  await batch.commit();
+};
+
+/**
+ * Deletes a file from Storage, treating a file that is already gone as deleted.
+ * @param {string} storagePath - The full path of the file.
+ */
+export const deleteStorageFile = async (storagePath) => {
+  try {
+    await deleteObject(ref(storage, storagePath));
+  } catch (error) {
+    if (error.code !== "storage/object-not-found") {
+      throw error;
+    }
+  }
+};
+
+/**
+ * Recomputes a house's photo count and cover thumbnail from its approved photos.
+ * Approving only ever adds to the count, so this is needed whenever a shown photo is taken away.
+ * @param {string} houseId - The ID of the house.
+ * @returns {Promise<Object>} - The fields written, { photoCount, coverThumbnailURL }.
+ */
+export const refreshHousePhotoStats = async (houseId) => {
+  const querySnapshot = await getDocs(query(
+    collection(db, "houses", houseId, "photos"),
+    where("status", "==", PHOTO_STATUS.APPROVED),
+    orderBy("uploadedAt", "desc")
+  ));
+  const newest = querySnapshot.empty ? null : photoFromSnapshot(querySnapshot.docs[0]);
+
+  const stats = {
+    photoCount: querySnapshot.size,
+    coverThumbnailURL: newest ? newest.thumbnailURL || newest.downloadURL : null,
+  };
+
+  await updateDoc(doc(db, "houses", houseId), validateHouseUpdate(stats));
+  return stats;
+};
+
+/**
+ * Rejects a photo and deletes its files from Storage.
+ * The document is kept with a rejected status as a record of the review.
+ * @param {Object} photo - The photo, with its `id`, `houseId`, `status`, `storagePath` and `thumbnailStoragePath`.
+ */
+export const rejectPhoto = async (photo) => {
+  const paths = [photo.storagePath, photo.thumbnailStoragePath].filter(Boolean);
+  await Promise.all(paths.map(deleteStorageFile));
+
+  await updateDoc(doc(db, "houses", photo.houseId, "photos", photo.id), validatePhotoUpdate({
+    status: PHOTO_STATUS.REJECTED,
+    reviewedAt: serverTimestamp(),
+  }));
+
+  // Taking down a photo that was already shown leaves the house's count and cover out of date
+  if (photo.status === PHOTO_STATUS.APPROVED) {
+    await refreshHousePhotoStats(photo.houseId);
+  }
+};
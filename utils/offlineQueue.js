@@ -0,0 +1,114 @@
+// Durable queue of submissions made while offline, stored in IndexedDB so it survives reloads
+
+const DB_NAME = "truckeelights-offline";
+const DB_VERSION = 1;
+const STORE_NAME = "queue";
+
+// Queued actions that keep failing while online are dropped after this many attempts,
+// and handed back so the visitor can be told
+const MAX_ATTEMPTS = 5;
+
+// Types of queued actions
+export const QUEUED_ACTION = {
+  ADD_HOUSE: "addHouse",
+  UPLOAD_PHOTO: "uploadPhoto",
+};
+
+// Wraps an IndexedDB request in a promise
+const promisify = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE_NAME, { keyPath: "id", autoIncrement: true });
+    };
+    dbPromise = promisify(request);
+  }
+  return dbPromise;
+};
+
+const withStore = async (mode, callback) => {
+  const db = await openDb();
+  return promisify(callback(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME)));
+};
+
+/**
+ * Adds an action to the queue.
+ * @param {string} type - One of QUEUED_ACTION.
+ * @param {Object} payload - The data needed to replay the action. Files and Blobs are stored as-is.
+ */
+export const enqueueAction = (type, payload) =>
+  withStore("readwrite", (store) => store.add({ type, payload, attempts: 0, queuedAt: Date.now() }));
+
+/**
+ * Counts the actions waiting in the queue.
+ * @returns {Promise<number>} - The number of pending actions.
+ */
+export const countQueuedActions = () => withStore("readonly", (store) => store.count());
+
+/**
+ * Describes a queued action for the visitor, e.g. when it had to be dropped.
+ * @param {Object} action - The queued action, with its `type` and `payload`.
+ * @returns {string} - A short description such as "the house at 123 Main St".
+ */
+export const describeQueuedAction = ({ type, payload }) => {
+  switch (type) {
+    case QUEUED_ACTION.ADD_HOUSE:
+      return `the house at ${payload.address}`;
+    case QUEUED_ACTION.UPLOAD_PHOTO:
+      return payload.file?.name ? `the photo ${payload.file.name}` : "a photo";
+    default:
+      return "a submission";
+  }
+};
+
+let isReplaying = false;
+
+/**
+ * Replays queued actions in the order they were queued.
+ * Stops at the first failure so later actions never overtake earlier ones;
+ * they are tried again on the next call.
+ * @param {Object} handlers - Mapping of action type to an async function that performs it.
+ * @returns {Promise<Array<Object>>} - The actions dropped after failing MAX_ATTEMPTS times.
+ */
+export const replayQueuedActions = async (handlers) => {
+  const droppedActions = [];
+  if (isReplaying || !navigator.onLine) return droppedActions;
+  isReplaying = true;
+
+  try {
+    const actions = await withStore("readonly", (store) => store.getAll());
+
+    for (const action of actions) {
+      try {
+        await handlers[action.type](action.payload);
+        await withStore("readwrite", (store) => store.delete(action.id));
+      } catch (error) {
+        console.error(`Error replaying queued ${action.type}:`, error);
+
+        if (!navigator.onLine) break;
+
+        const attempts = action.attempts + 1;
+        if (attempts >= MAX_ATTEMPTS) {
+          await withStore("readwrite", (store) => store.delete(action.id));
+          droppedActions.push(action);
+          continue;
+        }
+
+        await withStore("readwrite", (store) => store.put({ ...action, attempts }));
+        break;
+      }
+    }
+  } finally {
+    isReplaying = false;
+  }
+
+  return droppedActions;
+};
@@ -0,0 +1,76 @@
+import { Timestamp } from "firebase/firestore";
+
+// Cache the service worker keeps across versions (see public/sw.js)
+const DATA_CACHE = "truckeelights-data";
+const LAST_KNOWN_HOUSES_URL = "/last-known-houses.json";
+
+// Key of the object a Timestamp or Date is stored as in the cached JSON, e.g. { "$millis": 1733000000000 }
+const MILLIS_KEY = "$millis";
+
+/**
+ * Replaces Timestamps and Dates anywhere in a value with { $millis } objects.
+ * This runs before JSON.stringify, since a Timestamp's own toJSON would otherwise run first.
+ */
+const encodeTimestamps = (value) => {
+  if (value instanceof Timestamp) return { [MILLIS_KEY]: value.toMillis() };
+  if (value instanceof Date) return { [MILLIS_KEY]: value.getTime() };
+  if (Array.isArray(value)) return value.map(encodeTimestamps);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, encodeTimestamps(item)]));
+  }
+  return value;
+};
+
+/**
+ * Registers the service worker that caches the app shell.
+ * Skipped in development so cached bundles never hide code changes.
+ */
+export const registerServiceWorker = async () => {
+  if (process.env.NODE_ENV !== "production" || !("serviceWorker" in navigator)) return;
+
+  try {
+    await navigator.serviceWorker.register("/sw.js");
+  } catch (error) {
+    console.error("Service worker registration failed:", error);
+  }
+};
+
+/**
+ * Stores the current house list so it can be shown when the app starts offline.
+ * @param {Array} houses - The houses currently on the map.
+ */
+export const saveLastKnownHouses = async (houses) => {
+  if (!("caches" in window)) return;
+
+  try {
+    // Timestamps are tagged so loading can turn them back into Timestamps
+    const body = JSON.stringify(encodeTimestamps(houses));
+
+    const cache = await caches.open(DATA_CACHE);
+    await cache.put(LAST_KNOWN_HOUSES_URL, new Response(body, { headers: { "Content-Type": "application/json" } }));
+  } catch (error) {
+    console.error("Error caching houses:", error);
+  }
+};
+
+/**
+ * Loads the house list saved by `saveLastKnownHouses`.
+ * Creation times and other timestamps come back as Firestore Timestamps, as in live data.
+ * @returns {Promise<Array>} - The saved houses, or an empty list if there are none.
+ */
+export const loadLastKnownHouses = async () => {
+  if (!("caches" in window)) return [];
+
+  try {
+    const cache = await caches.open(DATA_CACHE);
+    const response = await cache.match(LAST_KNOWN_HOUSES_URL);
+    if (!response) return [];
+
+    return JSON.parse(await response.text(), (key, value) =>
+      value && typeof value[MILLIS_KEY] === "number" ? Timestamp.fromMillis(value[MILLIS_KEY]) : value
+    );
+  } catch (error) {
+    console.error("Error loading cached houses:", error);
+    return [];
+  }
+};
@@ -0,0 +1,128 @@
+import { collection, doc, serverTimestamp, setDoc } from "firebase/firestore";
+import { getDownloadURL, ref, uploadBytesResumable } from "firebase/storage";
+import { db, storage } from "../firebase";
+import { createImageDerivatives } from "./imageUtils";
+import { PHOTO_STATUS, deleteStorageFile } from "./moderationUtils";
+import { getPhotoStoragePaths, toPhotoDocument } from "./schemaUtils";
+import { ensureSignedIn } from "./authUtils";
+
+// States of a single file in the upload manager
+export const UPLOAD_STATUS = {
+  PREPARING: "preparing",
+  UPLOADING: "uploading",
+  DONE: "done",
+  FAILED: "failed",
+  CANCELED: "canceled",
+};
+
+// Same code Firebase Storage uses when an upload task is canceled
+const CANCELED_ERROR_CODE = "storage/canceled";
+
+/**
+ * Checks whether an upload failed because it was canceled.
+ * @param {Error} error - The error the upload rejected with.
+ * @returns {boolean} - True if the upload was canceled.
+ */
+export const isUploadCanceled = (error) => error?.code === CANCELED_ERROR_CODE;
+
+/**
+ * Stops the upload tasks still running and deletes the files that finished,
+ * so a failed or canceled upload leaves nothing behind in Storage.
+ */
+const removeUploadedFiles = async (uploadTasks) => {
+  uploadTasks.forEach((task) => task.cancel());
+  await Promise.allSettled(uploadTasks);
+
+  const finishedPaths = uploadTasks
+    .filter((task) => task.snapshot.state === "success")
+    .map((task) => task.snapshot.ref.fullPath);
+
+  try {
+    await Promise.all(finishedPaths.map(deleteStorageFile));
+  } catch (error) {
+    console.error("Error removing uploaded files:", error);
+  }
+};
+
+/**
+ * Resizes a photo, uploads its full-size and thumbnail versions and records it
+ * as pending review in the house's photos subcollection.
+ * @param {string} houseId - The ID of the house.
+ * @param {File} file - The photo picked by the user.
+ * @param {Function} onProgress - Called with the fraction (0 to 1) of bytes uploaded.
+ * @returns {Object} - The upload as { done, cancel }, where `done` resolves once the photo is recorded.
+ */
+export const uploadHousePhoto = (houseId, file, onProgress) => {
+  let uploadTasks = [];
+  let isCanceled = false;
+
+  const throwIfCanceled = () => {
+    if (isCanceled) {
+      throw Object.assign(new Error("Upload canceled."), { code: CANCELED_ERROR_CODE });
+    }
+  };
+
+  const done = (async () => {
+    // Attribute the photo to the current (possibly anonymous) user
+    const user = await ensureSignedIn();
+
+    // Resize and compress the image into a full-size and a thumbnail version
+    const { fullSize, thumbnail } = await createImageDerivatives(file);
+    throwIfCanceled();
+
+    // The photo's ID is picked up front so its files can be named after it
+    const photoRef = doc(collection(db, "houses", houseId, "photos"));
+    const { storagePath, thumbnailStoragePath } = getPhotoStoragePaths(houseId, photoRef.id, fullSize.name);
+    const storageRef = ref(storage, storagePath);
+    const thumbnailRef = ref(storage, thumbnailStoragePath);
+
+    // Storage rules let the uploader delete their own files, e.g. when the upload is canceled
+    const metadata = { customMetadata: { uploadedBy: user.uid } };
+    uploadTasks = [
+      uploadBytesResumable(storageRef, fullSize, metadata),
+      uploadBytesResumable(thumbnailRef, thumbnail, metadata),
+    ];
+
+    // Report progress across both versions
+    const totalBytes = fullSize.size + thumbnail.size;
+    uploadTasks.forEach((task) => {
+      task.on("state_changed", () => {
+        const transferred = uploadTasks.reduce((sum, t) => sum + t.snapshot.bytesTransferred, 0);
+        onProgress(totalBytes > 0 ? transferred / totalBytes : 0);
+      });
+    });
+
+    let downloadURL;
+    let thumbnailURL;
+    try {
+      await Promise.all(uploadTasks);
+      [downloadURL, thumbnailURL] = await Promise.all([
+        getDownloadURL(storageRef),
+        getDownloadURL(thumbnailRef),
+      ]);
+      // A cancel that arrives after both files are up still stops the photo being recorded
+      throwIfCanceled();
+    } catch (error) {
+      await removeUploadedFiles(uploadTasks);
+      throw error;
+    }
+
+    await setDoc(photoRef, toPhotoDocument({
+      downloadURL,
+      storagePath: storageRef.fullPath,
+      thumbnailURL,
+      thumbnailStoragePath: thumbnailRef.fullPath,
+      uploadedAt: serverTimestamp(),
+      fileName: fullSize.name,
+      status: PHOTO_STATUS.PENDING, // Hidden until an admin approves it
+      uploadedBy: user.uid,
+    }));
+  })();
+
+  const cancel = () => {
+    isCanceled = true;
+    uploadTasks.forEach((task) => task.cancel());
+  };
+
+  return { done, cancel };
+};
@@ -0,0 +1,90 @@
+import { doc, getDoc, runTransaction, serverTimestamp } from "firebase/firestore";
+import { db } from "../firebase";
+import { ensureSignedIn, getCurrentUserId } from "./authUtils";
+import { normalizeHouse, validateHouseUpdate } from "./schemaUtils";
+
+// Ratings given before sign-in were keyed by a random ID kept in this browser's localStorage
+const LEGACY_VISITOR_ID_STORAGE_KEY = "truckeelights.visitorId";
+
+/**
+ * Returns this browser's rating ID from before sign-in, if it has one.
+ * @returns {string|null} - The old visitor ID.
+ */
+const getLegacyVisitorId = () => localStorage.getItem(LEGACY_VISITOR_ID_STORAGE_KEY);
+
+/**
+ * Fetches the rating this visitor gave a house.
+ * Ratings are keyed by the visitor's uid, so each account has at most one vote per house.
+ * A vote this browser gave before sign-in is used until the visitor rates the house again.
+ * @param {string} houseId - The ID of the house.
+ * @returns {Promise<number|null>} - The number of stars, or null if the visitor has not rated it.
+ */
+export const fetchVisitorRating = async (houseId) => {
+  const visitorId = getCurrentUserId();
+  if (!visitorId) return null;
+
+  try {
+    const ratingSnap = await getDoc(doc(db, "houses", houseId, "ratings", visitorId));
+    if (ratingSnap.exists()) return ratingSnap.data().stars;
+
+    const legacyVisitorId = getLegacyVisitorId();
+    if (!legacyVisitorId) return null;
+
+    const legacySnap = await getDoc(doc(db, "houses", houseId, "ratings", legacyVisitorId));
+    return legacySnap.exists() ? legacySnap.data().stars : null;
+  } catch (error) {
+    console.error("Error fetching rating:", error);
+    return null;
+  }
+};
+
+/**
+ * Saves this visitor's rating for a house and updates the house's aggregate score.
+ * Rating again replaces the visitor's earlier vote instead of adding a new one.
+ * @param {string} houseId - The ID of the house.
+ * @param {number} stars - The rating, a whole number from 1 to 5.
+ * @returns {Promise<Object>} - The new aggregate as { ratingAverage, ratingCount, ratingSum }.
+ */
+export const submitRating = async (houseId, stars) => {
+  if (!Number.isInteger(stars) || stars < 1 || stars > 5) {
+    throw new Error("Rating must be a whole number from 1 to 5.");
+  }
+
+  const { uid } = await ensureSignedIn();
+  const houseRef = doc(db, "houses", houseId);
+  const ratingRef = doc(db, "houses", houseId, "ratings", uid);
+  const legacyVisitorId = getLegacyVisitorId();
+  const legacyRatingRef = legacyVisitorId ? doc(db, "houses", houseId, "ratings", legacyVisitorId) : null;
+
+  // Run in a transaction so concurrent votes never read a stale aggregate
+  return runTransaction(db, async (transaction) => {
+    const houseSnap = await transaction.get(houseRef);
+    const ratingSnap = await transaction.get(ratingRef);
+    const legacySnap = legacyRatingRef ? await transaction.get(legacyRatingRef) : null;
+
+    if (!houseSnap.exists()) {
+      throw new Error("House does not exist.");
+    }
+
+    // Both the account's vote and one this browser gave before sign-in are replaced by the new vote
+    const replacedStars = [ratingSnap, legacySnap]
+      .filter((snap) => snap?.exists())
+      .map((snap) => snap.data().stars);
+    const { ratingCount, ratingSum } = normalizeHouse(houseSnap.data());
+
+    // The sum of whole stars stays exact, so re-rating never drifts the average
+    const count = ratingCount - replacedStars.length + 1;
+    const sum = ratingSum - replacedStars.reduce((total, previousStars) => total + previousStars, 0) + stars;
+    const aggregate = { ratingAverage: sum / count, ratingCount: count, ratingSum: sum };
+
+    transaction.update(houseRef, validateHouseUpdate(aggregate));
+    transaction.set(ratingRef, { stars, ratedAt: serverTimestamp() });
+
+    // Move the old vote to the account
+    if (legacySnap?.exists()) {
+      transaction.delete(legacyRatingRef);
+    }
+
+    return aggregate;
+  });
+};
@@ -0,0 +1,155 @@
+import {
+  addDoc,
+  collection,
+  doc,
+  getDocs,
+  query,
+  serverTimestamp,
+  updateDoc,
+  where,
+  writeBatch,
+} from "firebase/firestore";
+import { db } from "../firebase";
+import { ensureSignedIn } from "./authUtils";
+import { deleteHouse } from "./houseAdminUtils";
+import { validateHouseUpdate } from "./schemaUtils";
+
+// Reasons a visitor can give when reporting a house
+export const REPORT_REASONS = [
+  { id: "wrongLocation", label: "Wrong location" },
+  { id: "lightsGone", label: "The lights are gone" },
+  { id: "homeownerOptOut", label: "I live here and want it off the map" },
+  { id: "inappropriate", label: "Inappropriate content" },
+  { id: "other", label: "Something else" },
+];
+
+// Review states of a document in the reports collection
+export const REPORT_STATUS = {
+  OPEN: "open",
+  RESOLVED: "resolved",
+};
+
+// How an admin resolved a report
+export const REPORT_RESOLUTION = {
+  HIDDEN: "hidden",
+  DELETED: "deleted",
+  IGNORED: "ignored",
+  MERGED: "merged", // The house was merged into another as a duplicate
+};
+
+/**
+ * Looks up the label of a report reason.
+ * @param {string} reasonId - The ID of the reason.
+ * @returns {string} - The label, or the ID itself for unknown reasons.
+ */
+export const getReportReasonLabel = (reasonId) =>
+  REPORT_REASONS.find((reason) => reason.id === reasonId)?.label || reasonId;
+
+/**
+ * Reports a problem with a house for an admin to review.
+ * @param {Object} house - The house being reported.
+ * @param {string} reason - The ID of one of the REPORT_REASONS.
+ * @param {string} [comment] - Optional details from the visitor.
+ */
+export const submitReport = async (house, reason, comment = "") => {
+  if (!REPORT_REASONS.some((r) => r.id === reason)) {
+    throw new Error(`Unknown report reason: ${reason}`);
+  }
+
+  const user = await ensureSignedIn();
+
+  await addDoc(collection(db, "reports"), {
+    houseId: house.id,
+    houseAddress: house.address || null, // Kept so the report still reads well if the house is deleted
+    reason,
+    comment: comment.trim().slice(0, 500),
+    status: REPORT_STATUS.OPEN,
+    reportedBy: user.uid,
+    reportedAt: serverTimestamp(),
+  });
+};
+
+/**
+ * Fetches the reports waiting for review, oldest first.
+ * @returns {Promise<Array>} - The open reports, each with its `id`.
+ */
+export const fetchOpenReports = async () => {
+  try {
+    const querySnapshot = await getDocs(
+      query(collection(db, "reports"), where("status", "==", REPORT_STATUS.OPEN))
+    );
+
+    const reports = querySnapshot.docs.map((reportDoc) => ({ id: reportDoc.id, ...reportDoc.data() }));
+
+    return reports.sort(
+      (a, b) => (a.reportedAt?.toMillis() ?? 0) - (b.reportedAt?.toMillis() ?? 0)
+    );
+  } catch (error) {
+    console.error("Error fetching reports:", error);
+    return [];
+  }
+};
+
+/**
+ * Marks reports as resolved in one batch.
+ */
+const markReportsResolved = async (reportIds, resolution) => {
+  const batch = writeBatch(db);
+  reportIds.forEach((reportId) => {
+    batch.update(doc(db, "reports", reportId), {
+      status: REPORT_STATUS.RESOLVED,
+      resolution,
+      resolvedAt: serverTimestamp(),
+    });
+  });
+  await batch.commit();
+};
+
+/**
+ * Resolves every open report about a house, e.g. once it has been merged away.
+ * @param {string} houseId - The ID of the house.
+ * @param {string} resolution - One of REPORT_RESOLUTION.
+ * @returns {Promise<Array<string>>} - The IDs of the reports resolved.
+ */
+export const resolveOpenReportsForHouse = async (houseId, resolution) => {
+  const querySnapshot = await getDocs(
+    query(collection(db, "reports"), where("houseId", "==", houseId), where("status", "==", REPORT_STATUS.OPEN))
+  );
+  if (querySnapshot.empty) return [];
+
+  const reportIds = querySnapshot.docs.map((reportDoc) => reportDoc.id);
+  await markReportsResolved(reportIds, resolution);
+  return reportIds;
+};
+
+/**
+ * Resolves a report. Hiding or deleting the house also resolves the other open reports about it.
+ * @param {Object} report - The report, with its `id` and `houseId`.
+ * @param {string} resolution - One of REPORT_RESOLUTION.
+ * @param {Array<Object>} [openReports] - The open reports loaded, to resolve alongside this one.
+ * @returns {Promise<Array<string>>} - The IDs of the reports resolved.
+ */
+export const resolveReport = async (report, resolution, openReports = []) => {
+  if (resolution === REPORT_RESOLUTION.IGNORED) {
+    await markReportsResolved([report.id], resolution);
+    return [report.id];
+  }
+
+  if (resolution === REPORT_RESOLUTION.HIDDEN) {
+    await updateDoc(doc(db, "houses", report.houseId), validateHouseUpdate({
+      hidden: true,
+      hiddenAt: serverTimestamp(),
+    }));
+  } else if (resolution === REPORT_RESOLUTION.DELETED) {
+    await deleteHouse(report.houseId);
+  } else {
+    throw new Error(`Unknown report resolution: ${resolution}`);
+  }
+
+  const reportIds = [
+    report.id,
+    ...openReports.filter((r) => r.houseId === report.houseId && r.id !== report.id).map((r) => r.id),
+  ];
+  await markReportsResolved(reportIds, resolution);
+  return reportIds;
+};
@@ -0,0 +1,188 @@
+import { deleteField, doc, updateDoc } from "firebase/firestore";
+import { db } from "../firebase";
+import { validateHouseUpdate } from "./schemaUtils";
+
+// Schedules are entered and shown in Truckee's local time
+export const SCHEDULE_TIME_ZONE = "America/Los_Angeles";
+
+// Keys of a schedule's `hours`, in the order of Date#getDay
+export const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+export const WEEKDAY_LABELS = {
+  sun: "Sunday",
+  mon: "Monday",
+  tue: "Tuesday",
+  wed: "Wednesday",
+  thu: "Thursday",
+  fri: "Friday",
+  sat: "Saturday",
+};
+
+export const SCHEDULE_STATE = {
+  ON: "on",
+  LATER: "later",
+  OFF: "off",
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const localTimeFormat = new Intl.DateTimeFormat("en-US", {
+  timeZone: SCHEDULE_TIME_ZONE,
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+  weekday: "short",
+  hour: "2-digit",
+  minute: "2-digit",
+  hourCycle: "h23",
+});
+
+/**
+ * Reads the Truckee wall-clock date and time of an instant.
+ */
+const getLocalTime = (date) => {
+  const parts = Object.fromEntries(localTimeFormat.formatToParts(date).map((part) => [part.type, part.value]));
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: parts.weekday.toLowerCase().slice(0, 3),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+};
+
+/**
+ * Works out the calendar day before a Truckee date.
+ * Stepping back 24 hours would skip a day just after the spring clock change, so this counts days instead.
+ */
+const getPreviousDay = (date) => {
+  const [year, month, day] = date.split("-").map(Number);
+  const previous = new Date(Date.UTC(year, month - 1, day - 1));
+
+  return { date: previous.toISOString().slice(0, 10), weekday: WEEKDAYS[previous.getUTCDay()] };
+};
+
+const toMinutes = (time) => {
+  const [, hours, minutes] = time.match(TIME_PATTERN);
+  return Number(hours) * 60 + Number(minutes);
+};
+
+/**
+ * Formats a "HH:MM" time for display, e.g. "17:00" -> "5pm" and "17:30" -> "5:30pm".
+ * @param {string} time - The 24-hour time.
+ * @returns {string} - The formatted time.
+ */
+export const formatScheduleTime = (time) => {
+  const totalMinutes = toMinutes(time);
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  const suffix = hours < 12 ? "am" : "pm";
+  const displayHours = hours % 12 === 0 ? 12 : hours % 12;
+
+  return minutes === 0 ? `${displayHours}${suffix}` : `${displayHours}:${String(minutes).padStart(2, "0")}${suffix}`;
+};
+
+// Windows that end at or before they start run past midnight
+const isOvernight = (hours) => toMinutes(hours.end) <= toMinutes(hours.start);
+
+// The season dates are inclusive and either may be missing
+const isInSeason = (schedule, date) =>
+  (!schedule.startDate || date >= schedule.startDate) && (!schedule.endDate || date <= schedule.endDate);
+
+/**
+ * Works out whether a display is lit at a given time.
+ * @param {Object|null} schedule - The house's schedule: `hours` keyed by weekday ("sun"-"sat"), each
+ *   { start, end } in "HH:MM" or null when dark, plus optional `startDate` and `endDate` ("YYYY-MM-DD").
+ * @param {Date} [now] - The time to check, now by default.
+ * @returns {Object|null} - The status as { state, label }, or null if the house has no schedule.
+ */
+export const getScheduleStatus = (schedule, now = new Date()) => {
+  if (!schedule || !schedule.hours) return null;
+
+  const today = getLocalTime(now);
+  const yesterday = getPreviousDay(today.date);
+
+  // Last night's show may still be running after midnight
+  const lastNight = schedule.hours[yesterday.weekday];
+  if (lastNight && isOvernight(lastNight) && today.minutes < toMinutes(lastNight.end) && isInSeason(schedule, yesterday.date)) {
+    return { state: SCHEDULE_STATE.ON, label: `On now until ${formatScheduleTime(lastNight.end)}` };
+  }
+
+  if (schedule.startDate && today.date < schedule.startDate) {
+    const [year, month, day] = schedule.startDate.split("-").map(Number);
+    const startLabel = new Date(year, month - 1, day).toLocaleDateString("en-US", { month: "short", day: "numeric" });
+    return { state: SCHEDULE_STATE.OFF, label: `Lights start ${startLabel}` };
+  }
+  if (schedule.endDate && today.date > schedule.endDate) {
+    return { state: SCHEDULE_STATE.OFF, label: "Off for the season" };
+  }
+
+  const tonight = schedule.hours[today.weekday];
+  if (!tonight) {
+    return { state: SCHEDULE_STATE.OFF, label: "Off tonight" };
+  }
+
+  const start = toMinutes(tonight.start);
+  const end = toMinutes(tonight.end);
+
+  if (today.minutes < start) {
+    return { state: SCHEDULE_STATE.LATER, label: `Starts at ${formatScheduleTime(tonight.start)}` };
+  }
+  if (isOvernight(tonight) || today.minutes < end) {
+    return { state: SCHEDULE_STATE.ON, label: `On now until ${formatScheduleTime(tonight.end)}` };
+  }
+  return { state: SCHEDULE_STATE.OFF, label: "Off tonight" };
+};
+
+/**
+ * Checks whether a display is lit right now. Houses without a schedule are not known to be.
+ * @param {Object} house - The house, with its optional `schedule`.
+ * @param {Date} [now] - The time to check, now by default.
+ * @returns {boolean} - True if the schedule says the lights are on.
+ */
+export const isOpenNow = (house, now = new Date()) =>
+  getScheduleStatus(house.schedule, now)?.state === SCHEDULE_STATE.ON;
+
+/**
+ * Checks a schedule entered by a visitor and drops the days left blank.
+ * @param {Object} schedule - The schedule as { hours, startDate, endDate }.
+ * @returns {Object|null} - The cleaned schedule, or null if no day has hours.
+ * @throws {Error} - If a time or date is malformed or the season ends before it starts.
+ */
+export const sanitizeSchedule = ({ hours = {}, startDate = null, endDate = null }) => {
+  const cleanHours = {};
+  WEEKDAYS.forEach((day) => {
+    const dayHours = hours[day];
+    if (!dayHours || !dayHours.start || !dayHours.end) {
+      cleanHours[day] = null;
+      return;
+    }
+    if (!TIME_PATTERN.test(dayHours.start) || !TIME_PATTERN.test(dayHours.end)) {
+      throw new Error(`Invalid hours for ${WEEKDAY_LABELS[day]}.`);
+    }
+    cleanHours[day] = { start: dayHours.start, end: dayHours.end };
+  });
+
+  if (Object.values(cleanHours).every((dayHours) => dayHours === null)) return null;
+
+  if ((startDate && !DATE_PATTERN.test(startDate)) || (endDate && !DATE_PATTERN.test(endDate))) {
+    throw new Error("Invalid season dates.");
+  }
+  if (startDate && endDate && endDate < startDate) {
+    throw new Error("The season must end after it starts.");
+  }
+
+  return { hours: cleanHours, startDate: startDate || null, endDate: endDate || null };
+};
+
+/**
+ * Saves the schedule of a house, or removes it when no day has hours.
+ * @param {string} houseId - The ID of the house.
+ * @param {Object} schedule - The schedule as { hours, startDate, endDate }.
+ * @returns {Promise<Object|null>} - The saved schedule.
+ */
+export const updateHouseSchedule = async (houseId, schedule) => {
+  const cleanSchedule = sanitizeSchedule(schedule);
+  await updateDoc(doc(db, "houses", houseId), validateHouseUpdate({ schedule: cleanSchedule ?? deleteField() }));
+  return cleanSchedule;
+};
@@ -0,0 +1,316 @@
+import { FieldValue, Timestamp, deleteField } from "firebase/firestore";
+import { geohashForLocation } from "geofire-common";
+// Explicit extension so scripts/migrate-schema.mjs can import this module under Node
+import { normalizeAddress } from "./addressUtils.js";
+
+// Schema version written on every house and photo document. Documents without one predate the schema.
+// Houses moved to version 2 when `ratingSum` was added.
+export const HOUSE_SCHEMA_VERSION = 2;
+export const PHOTO_SCHEMA_VERSION = 1;
+
+// Review states of a photo document in houses/{id}/photos
+export const PHOTO_STATUS = {
+  PENDING: "pending",
+  APPROVED: "approved",
+  REJECTED: "rejected",
+};
+
+const isString = (value) => typeof value === "string";
+const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+const isBoolean = (value) => typeof value === "boolean";
+const isTimestamp = (value) => value instanceof Timestamp || value instanceof Date;
+const isMap = (value) => value !== null && typeof value === "object" && !Array.isArray(value) && !isTimestamp(value);
+const isLocation = (value) =>
+  isMap(value) && isNumber(value.lat) && isNumber(value.lng) && Math.abs(value.lat) <= 90 && Math.abs(value.lng) <= 180;
+const isStringArray = (value) => Array.isArray(value) && value.every(isString);
+const isPhotoStatus = (value) => Object.values(PHOTO_STATUS).includes(value);
+
+// Wraps a field definition so null is accepted too
+const nullable = ({ check, label }) => ({ check: (value) => value === null || check(value), label: `${label} or null` });
+
+const STRING = { check: isString, label: "a string" };
+const NUMBER = { check: isNumber, label: "a number" };
+const BOOLEAN = { check: isBoolean, label: "true or false" };
+const TIMESTAMP = { check: isTimestamp, label: "a timestamp" };
+const MAP = { check: isMap, label: "a map" };
+
+// Fields of a house document, and whether every write of a whole document must include them
+const HOUSE_FIELDS = {
+  schemaVersion: { ...NUMBER, required: true },
+  address: { ...STRING, required: true },
+  normalizedAddress: { ...STRING, required: true },
+  location: { check: isLocation, label: "a { lat, lng } location", required: true },
+  geohash: { ...STRING, required: true }, // Used for viewport queries
+  createdAt: { ...TIMESTAMP, required: true },
+  createdBy: nullable(STRING),
+  createdByName: nullable(STRING),
+  ratingAverage: { ...NUMBER, required: true },
+  ratingCount: { ...NUMBER, required: true },
+  ratingSum: { ...NUMBER, required: true }, // Total stars, so the average can be recomputed exactly
+  tags: { check: isStringArray, label: "a list of tag IDs", required: true },
+  musicFrequency: nullable(NUMBER),
+  seasons: { ...MAP, required: true }, // Confirmations keyed by season, e.g. "2024"
+  schedule: nullable(MAP),
+  hidden: BOOLEAN,
+  hiddenAt: nullable(TIMESTAMP),
+  photoCount: NUMBER, // Approved photos, kept in step by moderation
+  coverThumbnailURL: nullable(STRING),
+};
+
+// Fields of a photo document in houses/{id}/photos
+const PHOTO_FIELDS = {
+  schemaVersion: { ...NUMBER, required: true },
+  downloadURL: { ...STRING, required: true },
+  storagePath: { ...STRING, required: true },
+  thumbnailURL: nullable(STRING),
+  thumbnailStoragePath: nullable(STRING),
+  fileName: nullable(STRING),
+  uploadedAt: { ...TIMESTAMP, required: true },
+  uploadedBy: nullable(STRING),
+  status: { check: isPhotoStatus, label: `one of ${Object.values(PHOTO_STATUS).join(", ")}`, required: true },
+  reviewedAt: nullable(TIMESTAMP),
+};
+
+/**
+ * Checks the fields being written against a schema.
+ * Sentinels such as serverTimestamp() and nested paths such as "seasons.2024" are
+ * only checked for a known top-level field, and required fields cannot be deleted.
+ */
+const validateFields = (kind, fields, data, { partial }) => {
+  Object.entries(data).forEach(([path, value]) => {
+    const [name] = path.split(".");
+    const field = fields[name];
+
+    if (!field) {
+      throw new Error(`Invalid ${kind}: unknown field "${name}".`);
+    }
+    if (value instanceof FieldValue) {
+      if (field.required && path === name && value.isEqual(deleteField())) {
+        throw new Error(`Invalid ${kind}: ${name} cannot be deleted.`);
+      }
+      return;
+    }
+    if (path === name && !field.check(value)) {
+      throw new Error(`Invalid ${kind}: ${name} must be ${field.label}.`);
+    }
+  });
+
+  if (!partial) {
+    Object.entries(fields).forEach(([name, field]) => {
+      if (field.required && data[name] === undefined) {
+        throw new Error(`Invalid ${kind}: ${name} is required.`);
+      }
+    });
+  }
+};
+
+/**
+ * Stamps a whole house document with the current schema version and validates it before it is written.
+ * @param {Object} data - The house fields, without `schemaVersion`.
+ * @returns {Object} - The document to write.
+ * @throws {Error} - If a field is unknown, missing or of the wrong type.
+ */
+export const toHouseDocument = (data) => {
+  const houseDocument = { ...data, schemaVersion: HOUSE_SCHEMA_VERSION };
+  validateFields("house", HOUSE_FIELDS, houseDocument, { partial: false });
+  return houseDocument;
+};
+
+/**
+ * Validates the fields of an update to a house document.
+ * @param {Object} changes - The fields or field paths being updated.
+ * @returns {Object} - The same changes, for passing straight to updateDoc.
+ * @throws {Error} - If a field is unknown or of the wrong type, or a required field is deleted.
+ */
+export const validateHouseUpdate = (changes) => {
+  validateFields("house", HOUSE_FIELDS, changes, { partial: true });
+  return changes;
+};
+
+/**
+ * Stamps a whole photo document with the current schema version and validates it before it is written.
+ * @param {Object} data - The photo fields, without `schemaVersion`.
+ * @returns {Object} - The document to write.
+ * @throws {Error} - If a field is unknown, missing or of the wrong type.
+ */
+export const toPhotoDocument = (data) => {
+  const photoDocument = { ...data, schemaVersion: PHOTO_SCHEMA_VERSION };
+  validateFields("photo", PHOTO_FIELDS, photoDocument, { partial: false });
+  return photoDocument;
+};
+
+/**
+ * Validates the fields of an update to a photo document.
+ * @param {Object} changes - The fields being updated.
+ * @returns {Object} - The same changes, for passing straight to updateDoc.
+ * @throws {Error} - If a field is unknown or of the wrong type, or a required field is deleted.
+ */
+export const validatePhotoUpdate = (changes) => {
+  validateFields("photo", PHOTO_FIELDS, changes, { partial: true });
+  return changes;
+};
+
+/**
+ * Works out where a photo's files live in Storage. Files are named after the photo document, since
+ * uploads often share a name (every iPhone photo is image.jpg) and Storage rules let only admins
+ * overwrite a file; only the extension of the original name is kept.
+ * @param {string} houseId - The ID of the house.
+ * @param {string} photoId - The ID of the photo document.
+ * @param {string} [originalName] - The name of the uploaded file.
+ * @returns {Object} - The paths as { storagePath, thumbnailStoragePath }.
+ */
+export const getPhotoStoragePaths = (houseId, photoId, originalName = "") => {
+  const extension = /\.([a-z0-9]{1,5})$/i.exec(originalName)?.[1].toLowerCase() ?? "jpg";
+  const fileName = `${photoId}.${extension}`;
+
+  return {
+    storagePath: `houses/${houseId}/photos/${fileName}`,
+    thumbnailStoragePath: `houses/${houseId}/photos/thumbs/${fileName}`,
+  };
+};
+
+/**
+ * Reads a house document of any schema version into the current shape.
+ * Missing fields get their defaults, derived fields are filled in and unknown fields are dropped.
+ * A house without a valid location gets `location: null`, since it cannot be placed on the map.
+ * @param {Object} data - The document data.
+ * @returns {Object} - The house, with `schemaVersion` 0 if the document predates the schema.
+ */
+export const normalizeHouse = (data = {}) => {
+  const address = isString(data.address) ? data.address : "";
+  const location = isLocation(data.location) ? { lat: data.location.lat, lng: data.location.lng } : null;
+  const ratingAverage = isNumber(data.ratingAverage) ? data.ratingAverage : 0;
+  const ratingCount = isNumber(data.ratingCount) ? data.ratingCount : 0;
+
+  return {
+    schemaVersion: isNumber(data.schemaVersion) ? data.schemaVersion : 0,
+    address,
+    // Recomputed rather than read, so a value saved under older normalization rules is never kept
+    normalizedAddress: normalizeAddress(address),
+    location,
+    geohash: data.geohash || (location ? geohashForLocation([location.lat, location.lng]) : null),
+    createdAt: isTimestamp(data.createdAt) ? data.createdAt : null,
+    createdBy: isString(data.createdBy) ? data.createdBy : null,
+    createdByName: isString(data.createdByName) ? data.createdByName : null,
+    ratingAverage,
+    ratingCount,
+    // Houses rated before the sum was stored hold only the average; stars are whole, so round it back
+    ratingSum: isNumber(data.ratingSum) ? data.ratingSum : Math.round(ratingAverage * ratingCount),
+    tags: Array.isArray(data.tags) ? data.tags.filter(isString) : [],
+    musicFrequency: isNumber(data.musicFrequency) ? data.musicFrequency : null,
+    seasons: isMap(data.seasons) ? data.seasons : {},
+    schedule: isMap(data.schedule) ? data.schedule : null,
+    hidden: data.hidden === true,
+    hiddenAt: isTimestamp(data.hiddenAt) ? data.hiddenAt : null,
+    photoCount: isNumber(data.photoCount) ? data.photoCount : 0,
+    coverThumbnailURL: isString(data.coverThumbnailURL) ? data.coverThumbnailURL : null,
+  };
+};
+
+/**
+ * Reads a photo document of any schema version into the current shape.
+ * Photos saved before moderation have no status and count as approved, since they were already public.
+ * Queries filter on the stored status, though, so the map only finds them once `npm run migrate:schema`
+ * or `npm run backfill:photo-status` has written it.
+ * @param {Object} data - The document data.
+ * @returns {Object} - The photo, with `schemaVersion` 0 if the document predates the schema.
+ */
+export const normalizePhoto = (data = {}) => {
+  const storagePath = isString(data.storagePath) ? data.storagePath : null;
+
+  return {
+    schemaVersion: isNumber(data.schemaVersion) ? data.schemaVersion : 0,
+    downloadURL: isString(data.downloadURL) ? data.downloadURL : null,
+    storagePath,
+    thumbnailURL: isString(data.thumbnailURL) ? data.thumbnailURL : null,
+    thumbnailStoragePath: isString(data.thumbnailStoragePath) ? data.thumbnailStoragePath : null,
+    fileName: isString(data.fileName) ? data.fileName : storagePath?.split("/").pop() ?? null,
+    uploadedAt: isTimestamp(data.uploadedAt) ? data.uploadedAt : null,
+    uploadedBy: isString(data.uploadedBy) ? data.uploadedBy : null,
+    status: isPhotoStatus(data.status) ? data.status : PHOTO_STATUS.APPROVED,
+    reviewedAt: isTimestamp(data.reviewedAt) ? data.reviewedAt : null,
+  };
+};
+
+/**
+ * Reads a house snapshot into a normalized house with its `id`.
+ * @param {DocumentSnapshot} snapshot - The house document.
+ * @param {Object} [options] - Snapshot options, e.g. { serverTimestamps: "estimate" }.
+ * @returns {Object} - The house.
+ */
+export const houseFromSnapshot = (snapshot, options) => ({
+  id: snapshot.id,
+  ...normalizeHouse(snapshot.data(options)),
+});
+
+/**
+ * Reads a photo snapshot into a normalized photo with its `id`.
+ * @param {DocumentSnapshot} snapshot - The photo document.
+ * @returns {Object} - The photo.
+ */
+export const photoFromSnapshot = (snapshot) => ({
+  id: snapshot.id,
+  ...normalizePhoto(snapshot.data()),
+});
+
+// Earliest of a list of timestamps, or null if there are none
+const getEarliest = (timestamps) =>
+  timestamps
+    .filter(isTimestamp)
+    .map((timestamp) => (timestamp instanceof Date ? Timestamp.fromDate(timestamp) : timestamp))
+    .sort((a, b) => a.toMillis() - b.toMillis())[0] ?? null;
+
+/**
+ * Upgrades a photo document to the current schema version.
+ * @param {Object} data - The stored document data.
+ * @param {Object} [options] - Fallbacks for missing fields.
+ * @param {Timestamp|null} [options.uploadedAt] - Used when the photo has no upload time.
+ * @returns {Object} - The whole document to write.
+ * @throws {Error} - If the photo cannot be upgraded, e.g. it has no file.
+ */
+export const upgradePhoto = (data, { uploadedAt = null } = {}) => {
+  const { schemaVersion, ...photo } = normalizePhoto(data);
+
+  if (!photo.downloadURL || !photo.storagePath) {
+    throw new Error("It has no file in Storage.");
+  }
+
+  return toPhotoDocument({ ...photo, uploadedAt: photo.uploadedAt ?? uploadedAt ?? Timestamp.now() });
+};
+
+/**
+ * Upgrades a house document to the current schema version.
+ * The photo count and cover are recomputed from the house's upgraded photos, a missing
+ * creation time is taken from its earliest season confirmation or photo, and a missing
+ * `ratingSum` is derived from `ratingAverage` and `ratingCount`.
+ * @param {Object} data - The stored document data.
+ * @param {Array<Object>} [photos] - The house's photos, already upgraded.
+ * @returns {Object} - The whole document to write.
+ * @throws {Error} - If the house cannot be upgraded, e.g. it has no location.
+ */
+export const upgradeHouse = (data, photos = []) => {
+  const { schemaVersion, ...house } = normalizeHouse(data);
+
+  if (!house.location) {
+    throw new Error("It has no location. Set one in the admin console, then run the migration again.");
+  }
+
+  const approvedPhotos = photos
+    .filter((photo) => photo.status === PHOTO_STATUS.APPROVED)
+    .sort((a, b) => (b.uploadedAt?.toMillis() ?? 0) - (a.uploadedAt?.toMillis() ?? 0));
+  const newestPhoto = approvedPhotos[0];
+
+  const createdAt = house.createdAt
+    ?? getEarliest([
+      ...Object.values(house.seasons).map((confirmation) => confirmation?.confirmedAt),
+      ...photos.map((photo) => photo.uploadedAt),
+    ])
+    ?? Timestamp.now();
+
+  return toHouseDocument({
+    ...house,
+    createdAt,
+    photoCount: approvedPhotos.length,
+    coverThumbnailURL: house.coverThumbnailURL || (newestPhoto ? newestPhoto.thumbnailURL || newestPhoto.downloadURL : null),
+  });
+};
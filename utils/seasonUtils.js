@@ -0,0 +1,83 @@
+import { doc, serverTimestamp, updateDoc } from "firebase/firestore";
+import { db } from "../firebase";
+import { ensureSignedIn } from "./authUtils";
+import { validateHouseUpdate } from "./schemaUtils";
+
+// Markers for houses lit last season but not yet confirmed this season
+export const FADED_MARKER_OPACITY = 0.4;
+
+// A season runs through the holidays, so January to June still count toward the previous year's season
+const LAST_SEASON_MONTH = 5; // June
+
+// Converts a Firestore Timestamp, Date or milliseconds value to a Date
+const toDate = (timestamp) =>
+  typeof timestamp?.toDate === "function" ? timestamp.toDate() : new Date(timestamp);
+
+/**
+ * Works out which holiday season a date belongs to.
+ * @param {Date} [date] - The date, now by default.
+ * @returns {number} - The season, named after the year it starts in, e.g. 2025 for Dec 2025 and Jan 2026.
+ */
+export const getSeasonForDate = (date = new Date()) =>
+  date.getMonth() <= LAST_SEASON_MONTH ? date.getFullYear() - 1 : date.getFullYear();
+
+/**
+ * Lists the seasons a house was confirmed lit in.
+ * Houses added before seasons were tracked count as lit in the season they were added, or in
+ * the current season when even that is unknown, so they do not drop off the map.
+ * @param {Object} house - The house, with its `seasons` map keyed by year.
+ * @returns {Array<number>} - The seasons, newest first.
+ */
+export const getHouseSeasons = (house) => {
+  const seasons = Object.keys(house.seasons || {}).map(Number);
+
+  if (seasons.length === 0) {
+    seasons.push(house.createdAt ? getSeasonForDate(toDate(house.createdAt)) : getSeasonForDate());
+  }
+
+  return seasons.sort((a, b) => b - a);
+};
+
+/**
+ * Checks whether a house was confirmed lit in a season.
+ * @param {Object} house - The house.
+ * @param {number} season - The season.
+ * @returns {boolean} - True if the house was lit that season.
+ */
+export const isLitInSeason = (house, season) => getHouseSeasons(house).includes(season);
+
+/**
+ * Checks whether a house belongs on the map for a season.
+ * Houses lit the season before stay on the map, faded, until someone confirms them.
+ * @param {Object} house - The house.
+ * @param {number} season - The season being shown.
+ * @returns {boolean} - True if the house should be shown.
+ */
+export const isShownInSeason = (house, season) =>
+  isLitInSeason(house, season) || (season === getSeasonForDate() && isLitInSeason(house, season - 1));
+
+/**
+ * Builds the season entry stored when a house is confirmed lit.
+ * @param {string} userId - The uid of the visitor confirming it.
+ * @returns {Object} - The entry for the house's `seasons` map.
+ */
+export const createSeasonConfirmation = (userId) => ({
+  confirmedAt: serverTimestamp(),
+  confirmedBy: userId,
+});
+
+/**
+ * Records that a house is lit this season.
+ * @param {string} houseId - The ID of the house.
+ * @returns {Promise<number>} - The season that was confirmed.
+ */
+export const confirmLitThisSeason = async (houseId) => {
+  const user = await ensureSignedIn();
+  const season = getSeasonForDate();
+
+  await updateDoc(doc(db, "houses", houseId), validateHouseUpdate({
+    [`seasons.${season}`]: createSeasonConfirmation(user.uid),
+  }));
+
+  return season;
+};
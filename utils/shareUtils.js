@@ -0,0 +1,63 @@
+// Query parameter that links to one house, e.g. "/?house=abc123"
+const HOUSE_PARAM = "house";
+
+/**
+ * Builds a link that opens the map on a house.
+ * @param {string} houseId - The ID of the house.
+ * @returns {string} - The absolute link to the house.
+ */
+export const getHouseLink = (houseId) => {
+  const url = new URL(window.location.pathname, window.location.origin);
+  url.searchParams.set(HOUSE_PARAM, houseId);
+  return url.toString();
+};
+
+/**
+ * Reads the house ID from the current page URL.
+ * @returns {string|null} - The linked house ID, or null if the page was not opened from a house link.
+ */
+export const getLinkedHouseId = () => new URLSearchParams(window.location.search).get(HOUSE_PARAM);
+
+/**
+ * Points the address bar at a house, or removes the house from it, without reloading.
+ * @param {string|null} houseId - The house being shown, or null when none is.
+ */
+export const setLinkedHouseId = (houseId) => {
+  const url = new URL(window.location.href);
+
+  if (houseId) {
+    url.searchParams.set(HOUSE_PARAM, houseId);
+  } else {
+    url.searchParams.delete(HOUSE_PARAM);
+  }
+
+  if (url.href !== window.location.href) {
+    window.history.replaceState(window.history.state, "", url);
+  }
+};
+
+/**
+ * Shares a link to a house with the Web Share API, or copies it to the clipboard where that is unavailable.
+ * @param {Object} house - The house to share.
+ * @returns {Promise<string|null>} - "shared", "copied", or null if the user dismissed the share sheet.
+ */
+export const shareHouse = async (house) => {
+  const url = getHouseLink(house.id);
+
+  if (navigator.share) {
+    try {
+      await navigator.share({
+        title: "Truckee Lights",
+        text: `Check out the Christmas lights at ${house.address}`,
+        url,
+      });
+      return "shared";
+    } catch (error) {
+      if (error.name === "AbortError") return null;
+      // Fall back to the clipboard when sharing is refused, e.g. outside a user gesture
+    }
+  }
+
+  await navigator.clipboard.writeText(url);
+  return "copied";
+};
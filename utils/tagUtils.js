@@ -0,0 +1,75 @@
+import { doc, updateDoc } from "firebase/firestore";
+import { db } from "../firebase";
+import { validateHouseUpdate } from "./schemaUtils";
+
+// Tags a display can have, in the order they are shown
+export const DISPLAY_TAGS = [
+  { id: "animated", label: "Animated", emoji: "✨" },
+  { id: "music", label: "Music on FM", emoji: "📻" },
+  { id: "walkThrough", label: "Walk-through", emoji: "🚶" },
+  { id: "driveByOnly", label: "Drive-by only", emoji: "🚗" },
+  { id: "inflatables", label: "Inflatables", emoji: "☃️" },
+];
+
+// FM broadcast band in the US, in MHz
+const MIN_FM_FREQUENCY = 87.5;
+const MAX_FM_FREQUENCY = 108.0;
+
+/**
+ * Parses an FM frequency typed by a visitor.
+ * @param {string|number} value - The frequency, e.g. "101.5".
+ * @returns {number|null} - The frequency in MHz rounded to one decimal, or null if it is not on the FM band.
+ */
+export const parseFmFrequency = (value) => {
+  const frequency = Math.round(parseFloat(value) * 10) / 10;
+  if (Number.isNaN(frequency) || frequency < MIN_FM_FREQUENCY || frequency > MAX_FM_FREQUENCY) return null;
+  return frequency;
+};
+
+/**
+ * Keeps only known tags, in display order, and drops the frequency unless the display plays music.
+ * @param {Array<string>} tags - The tag IDs picked.
+ * @param {string|number|null} musicFrequency - The FM frequency entered.
+ * @returns {Object} - The cleaned { tags, musicFrequency }.
+ */
+export const sanitizeTags = (tags, musicFrequency) => {
+  const cleanTags = DISPLAY_TAGS.map((tag) => tag.id).filter((id) => tags.includes(id));
+  return {
+    tags: cleanTags,
+    musicFrequency: cleanTags.includes("music") ? parseFmFrequency(musicFrequency) : null,
+  };
+};
+
+/**
+ * Describes a house's tags for display, e.g. "📻 Music on FM 101.5".
+ * @param {Object} house - The house, with its `tags` and `musicFrequency`.
+ * @returns {Array<string>} - One label per tag.
+ */
+export const getTagLabels = (house) =>
+  DISPLAY_TAGS.filter((tag) => (house.tags || []).includes(tag.id)).map((tag) =>
+    tag.id === "music" && house.musicFrequency
+      ? `${tag.emoji} ${tag.label} ${house.musicFrequency.toFixed(1)}`
+      : `${tag.emoji} ${tag.label}`
+  );
+
+/**
+ * Checks whether a house has every tag in the active filters.
+ * @param {Object} house - The house.
+ * @param {Array<string>} activeTags - The tag IDs being filtered on.
+ * @returns {boolean} - True if the house should be shown.
+ */
+export const matchesTagFilters = (house, activeTags) =>
+  activeTags.every((tagId) => (house.tags || []).includes(tagId));
+
+/**
+ * Saves the tags of a house.
+ * @param {string} houseId - The ID of the house.
+ * @param {Array<string>} tags - The tag IDs.
+ * @param {string|number|null} musicFrequency - The FM frequency for music displays.
+ * @returns {Promise<Object>} - The saved { tags, musicFrequency }.
+ */
+export const updateHouseTags = async (houseId, tags, musicFrequency) => {
+  const tagData = sanitizeTags(tags, musicFrequency);
+  await updateDoc(doc(db, "houses", houseId), validateHouseUpdate(tagData));
+  return tagData;
+};
@@ -0,0 +1,226 @@
+const EARTH_RADIUS_METERS = 6371000;
+const METERS_PER_MILE = 1609.344;
+
+// Google Maps directions URLs accept at most 9 intermediate waypoints
+export const MAX_DIRECTIONS_WAYPOINTS = 9;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Calculates the great-circle distance between two points.
+ * @param {Object} a - The first point ({ lat, lng }).
+ * @param {Object} b - The second point ({ lat, lng }).
+ * @returns {number} - The distance in meters.
+ */
+export const haversineDistance = (a, b) => {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(h));
+};
+
+/**
+ * Sums the distance along a path of points.
+ * @param {Array<Object>} path - Ordered list of { lat, lng } points.
+ * @returns {number} - The total length in meters.
+ */
+export const pathLength = (path) => {
+  let total = 0;
+  for (let i = 1; i < path.length; i++) {
+    total += haversineDistance(path[i - 1], path[i]);
+  }
+  return total;
+};
+
+/**
+ * Formats a distance in meters as miles for display.
+ * @param {number} meters - The distance in meters.
+ * @returns {string} - The formatted distance, e.g. "3.2 mi".
+ */
+export const formatMiles = (meters) => `${(meters / METERS_PER_MILE).toFixed(1)} mi`;
+
+/**
+ * Orders stops greedily by always driving to the closest unvisited house.
+ */
+const nearestNeighborOrder = (start, stops) => {
+  const remaining = [...stops];
+  const ordered = [];
+  let current = start;
+
+  while (remaining.length > 0) {
+    let nearestIndex = 0;
+    let nearestDistance = Infinity;
+
+    remaining.forEach((house, index) => {
+      const distance = haversineDistance(current, house.location);
+      if (distance < nearestDistance) {
+        nearestDistance = distance;
+        nearestIndex = index;
+      }
+    });
+
+    const [nearest] = remaining.splice(nearestIndex, 1);
+    ordered.push(nearest);
+    current = nearest.location;
+  }
+
+  return ordered;
+};
+
+/**
+ * Improves an ordering by reversing segments while that shortens the route.
+ * The start point stays fixed and the route does not return to it.
+ */
+const twoOptImprove = (start, ordered) => {
+  const route = [...ordered];
+  const point = (index) => (index === 0 ? start : route[index - 1].location);
+  let improved = true;
+
+  while (improved) {
+    improved = false;
+
+    for (let i = 1; i < route.length; i++) {
+      for (let k = i + 1; k <= route.length; k++) {
+        const a = point(i - 1);
+        const b = point(i);
+        const c = point(k);
+        const d = k < route.length ? point(k + 1) : null;
+
+        const before = haversineDistance(a, b) + (d ? haversineDistance(c, d) : 0);
+        const after = haversineDistance(a, c) + (d ? haversineDistance(b, d) : 0);
+
+        if (after + 1e-6 < before) {
+          const reversed = route.slice(i - 1, k).reverse();
+          route.splice(i - 1, reversed.length, ...reversed);
+          improved = true;
+        }
+      }
+    }
+  }
+
+  return route;
+};
+
+/**
+ * Orders the selected houses into a driving tour.
+ * @param {Object|null} start - The starting point ({ lat, lng }). When null, the
+ *   first selected house is used as the start.
+ * @param {Array<Object>} stops - The houses to visit, each with a `location`.
+ * @returns {Object|null} - The tour ({ start, stops, path, distanceMeters }) or null
+ *   when there is nothing to visit.
+ */
+export const planTour = (start, stops) => {
+  const validStops = stops.filter((house) => house.location);
+  if (validStops.length === 0) return null;
+
+  const [firstStop, ...otherStops] = validStops;
+  const origin = start || firstStop.location;
+  const toOrder = start ? validStops : otherStops;
+
+  const ordered = twoOptImprove(origin, nearestNeighborOrder(origin, toOrder));
+  const tourStops = start ? ordered : [firstStop, ...ordered];
+  const path = [...(start ? [start] : []), ...tourStops.map((house) => house.location)];
+
+  return {
+    start: origin,
+    stops: tourStops,
+    path,
+    distanceMeters: pathLength(path),
+  };
+};
+
+/**
+ * Builds a Google Maps multi-stop driving directions URL for a tour.
+ * @param {Object} tour - The tour returned by `planTour`.
+ * @returns {string} - The directions URL.
+ */
+export const buildDirectionsUrl = (tour) => {
+  const formatPoint = ({ lat, lng }) => `${lat},${lng}`;
+  const { path } = tour;
+
+  const params = new URLSearchParams({
+    api: "1",
+    travelmode: "driving",
+    destination: formatPoint(path[path.length - 1]),
+  });
+
+  if (path.length > 1) {
+    params.set("origin", formatPoint(path[0]));
+  }
+
+  const waypoints = path.slice(1, -1);
+  if (waypoints.length > 0) {
+    params.set("waypoints", waypoints.map(formatPoint).join("|"));
+  }
+
+  return `https://www.google.com/maps/dir/?${params.toString()}`;
+};
+
+/**
+ * Escapes text for use inside XML elements and attributes.
+ * @param {*} unsafe - The text.
+ * @returns {string} - The escaped text.
+ */
+export const escapeXml = (unsafe) =>
+  String(unsafe)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+/**
+ * Builds a GPX route document for a tour.
+ * @param {Object} tour - The tour returned by `planTour`.
+ * @returns {string} - The GPX XML.
+ */
+export const buildGpx = (tour) => {
+  const points = [];
+
+  if (tour.path.length > tour.stops.length) {
+    points.push({ ...tour.start, name: "Start" });
+  }
+  tour.stops.forEach((house, index) => {
+    points.push({ ...house.location, name: `${index + 1}. ${house.address || "Unknown address"}` });
+  });
+
+  const routePoints = points
+    .map(
+      (point) => `
+    <rtept lat="${point.lat}" lon="${point.lng}">
+      <name>${escapeXml(point.name)}</name>
+    </rtept>`
+    )
+    .join("");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="Truckee Lights" xmlns="http://www.topografix.com/GPX/1/1">
+  <rte>
+    <name>Truckee Lights Tour</name>${routePoints}
+  </rte>
+</gpx>
+`;
+};
+
+/**
+ * Triggers a browser download for the given text content.
+ * @param {string} content - The file content.
+ * @param {string} fileName - The name of the downloaded file.
+ * @param {string} mimeType - The MIME type of the file.
+ */
+export const downloadFile = (content, fileName, mimeType) => {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  URL.revokeObjectURL(url);
+};